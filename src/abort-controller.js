@@ -0,0 +1,51 @@
+// A minimal stand-in for the DOM `AbortController` for environments
+// which do not provide one. Where the platform has a native
+// implementation we use it, so that the signal handed to `fetch()` can
+// be passed straight through to `window.fetch` and friends.
+class AbortSignalPolyfill {
+  constructor() {
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+    this._listeners = [];
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'abort') {
+      this._listeners.push(listener);
+    }
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'abort') {
+      this._listeners = this._listeners.filter((l) => l !== listener);
+    }
+  }
+
+  _abort(reason) {
+    if (this.aborted) { return; }
+    this.aborted = true;
+    this.reason = reason;
+
+    let event = { type: 'abort', target: this };
+    if (this.onabort) { this.onabort(event); }
+    this._listeners.forEach((listener) => listener.call(this, event));
+  }
+}
+
+class AbortControllerPolyfill {
+  constructor() {
+    this.signal = new AbortSignalPolyfill();
+  }
+
+  abort(reason) {
+    this.signal._abort(reason);
+  }
+}
+
+export default function createAbortController() {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+  return new AbortControllerPolyfill();
+}
@@ -1,117 +1,807 @@
 import State from './state';
 import Record from './record';
+import RetryPolicy from './retry-policy';
+import createAbortController from './abort-controller';
+import Emitter from './emitter';
+import { StateObservable, StateIterator } from './state-stream';
+import { asyncIterator } from './symbols';
+import { ImpaginationError, IndexOutOfRangeError, ListenerError, RecordNotFoundError, RollbackError } from './errors';
 import findIndex from './find-index';
 
-export default class Dataset {
+export default class Dataset extends Emitter {
   constructor(attrs = {}) {
+    super();
     this.state = new State({
       pageSize: Number(attrs.pageSize),
       loadHorizon: Number(attrs.loadHorizon || attrs.pageSize),
       unloadHorizon: Number(attrs.unloadHorizon) || Infinity,
+      loadAhead: horizon(attrs.loadAhead),
+      loadBehind: horizon(attrs.loadBehind),
+      unloadAhead: horizon(attrs.unloadAhead),
+      unloadBehind: horizon(attrs.unloadBehind),
+      directional: !!attrs.directional,
       filter: attrs.filter,
-      stats: attrs.stats || { totalPages: undefined }
+      sort: attrs.sort,
+      sortScope: attrs.sortScope || 'page',
+      groupBy: attrs.groupBy,
+      identify: attrs.identify || identifyBy(attrs.idKey),
+      pagination: attrs.pagination,
+      inferEnd: attrs.inferEnd !== false,
+      maxAge: Number(attrs.maxAge) || Infinity,
+      anchor: attrs.anchor || null,
+      stats: anchorStats(attrs.anchor, attrs.pageSize, attrs.stats || { totalPages: undefined })
     });
 
     this.fetch = attrs.fetch;
 
     this.observe = attrs.observe || function() {};;
+    this._observed = !!attrs.observe;
+    this._paused = false;
+    this._streamed = false;
+    this._notified = this.state;
     this.unfetch = attrs.unfetch || function() {};
+    this.onStaleResponse = attrs.onStaleResponse || function() {};
+
+    this.strict = !!attrs.strict;
+
+    this.create = attrs.create;
+    this.update = attrs.update;
+    this.destroy = attrs.destroy;
+
+    this.query = attrs.query;
+    this.preserveReadOffset = !!attrs.preserveReadOffset;
+
+    this.cache = attrs.cache;
+    this.queryKey = attrs.queryKey || serializeQuery;
+
+    this.maxConcurrentFetches = Number(attrs.maxConcurrentFetches) || Infinity;
+
+    this.retryPolicy = new RetryPolicy(attrs.retry || { maxAttempts: 1 });
+    this._retryTimers = {};
+    this._requests = {};
+    this._deferred = null;
+    this._uncached = {};
 
     if (!this.fetch) {
       throw new Error('created Dataset without fetch()');
     }
   }
 
+  // Creates a dataset from a state which was serialized with
+  // `state.toJSON()`. Its resolved pages are restored, so that only the
+  // missing pages are fetched. `options` are passed to the constructor,
+  // and must at least include `fetch`.
+  static hydrate(json, options = {}) {
+    let dataset = new Dataset(Object.assign({
+      pageSize: json.pageSize,
+      loadHorizon: json.loadHorizon,
+      unloadHorizon: json.unloadHorizon,
+      loadAhead: json.loadAhead,
+      loadBehind: json.loadBehind,
+      unloadAhead: json.unloadAhead,
+      unloadBehind: json.unloadBehind,
+      directional: json.directional,
+      pagination: json.pagination,
+      inferEnd: json.inferEnd,
+      anchor: json.anchor,
+      stats: Object.assign({}, json.stats)
+    }, options));
+
+    dataset.state = dataset._notified = dataset.state.restore(json);
+    if (dataset.state.readOffset !== undefined) {
+      dataset._fetchPages(dataset.state.reachable);
+      dataset._unfetchPages(dataset.state.unfetchable);
+    }
+    dataset._notify();
+
+    return dataset;
+  }
+
   // Public Functions
   setReadOffset(offset) {
     const readOffset =  Math.max(Number(offset), 0);
     if (isNaN(readOffset)) {
       throw new Error(`${offset} is not a Number`);
     }
-    if (readOffset !== this.state.readOffset) {
-      this.state = this.state.setReadOffset(readOffset);
-
-      this._fetchPages(this.state.unrequested);
-      this._unfetchPages(this.state.unfetchable);
+    if (readOffset !== this.state.readOffset || readOffset + 1 !== this.state.visibleEnd) {
+      this._read(this.state.setReadOffset(readOffset));
+    }
+  }
 
-      this.observe(this.state);
+  // Shows the records from `start` up to, but not including, `end`.
+  // Pages holding visible records are fetched first.
+  setVisibleRange(start, end) {
+    const visibleStart = Math.max(Number(start), 0);
+    const visibleEnd = Math.max(Number(end), visibleStart);
+    if (isNaN(visibleStart)) {
+      throw new Error(`${start} is not a Number`);
+    }
+    if (isNaN(visibleEnd)) {
+      throw new Error(`${end} is not a Number`);
+    }
+    if (visibleStart !== this.state.visibleStart || visibleEnd !== this.state.visibleEnd) {
+      this._read(this.state.setVisibleRange(visibleStart, visibleEnd));
     }
   }
 
   refilter(filterCallback) {
     filterCallback = filterCallback || this.state.filter;
     this.state = this.state.refilter(filterCallback);
-    this.observe(this.state);
+    this._notify();
+  }
+
+  resort(compareFn) {
+    compareFn = compareFn || this.state.sort;
+    this.state = this.state.resort(compareFn);
+    this._notify();
+  }
+
+  // Fetch the rejected page at `pageOffset` again
+  retry(pageOffset) {
+    let page = this.state.getPage(pageOffset);
+    if (page.isRejected) {
+      this._fetchPages([page]);
+      this._notify();
+    }
+  }
+
+  retryAll() {
+    let rejected = this.state.rejected;
+    if (rejected.length) {
+      this._fetchPages(rejected);
+      this._notify();
+    }
+  }
+
+  // Fetch the resolved page at `pageOffset` again, or every resolved
+  // page if no `pageOffset` is given. Their records are kept until the
+  // fresh ones arrive.
+  refresh(pageOffset) {
+    let pages = pageOffset === undefined ? this.state.resolved : [this.state.getPage(pageOffset)];
+    this._revalidatePages(pages);
+    this._notify();
+  }
+
+  // Fetch the resolved pages which hold visible records again
+  refreshVisible() {
+    this._revalidatePages(this.state.visible);
+    this._notify();
+  }
+
+  // Fetch the resolved pages within the load horizon again
+  refreshNearby() {
+    this._revalidatePages(this.state.nearby);
+    this._notify();
   }
 
   // 'unfetch' every unfetchable and resolved pages
   reset(readOffset) {
+    let { stats } = this.state.reopen();
+    this._unfetchAll();
+    if (this.cache) {
+      Promise.resolve().then(() => this.cache.clear()).catch(() => {});
+    }
+    this._startOver(readOffset, stats);
+  }
+
+  // Fetches every page again for the new `query`, which `fetch`
+  // receives as its fourth argument. The read offset moves back to 0,
+  // unless `preserveReadOffset` is set.
+  setQuery(query, { preserveReadOffset = this.preserveReadOffset } = {}) {
+    let { readOffset } = this.state;
+    if (readOffset !== undefined && !preserveReadOffset) {
+      readOffset = 0;
+    }
+
+    // Unloaded pages are cached under the previous query
+    this._unfetchAll();
+    this.query = query;
+    this._startOver(readOffset, { totalPages: undefined });
+  }
+
+  // post, put and delete return `{ state, records, saved }`, where
+  // `records` are the affected records and `saved` resolves once the
+  // change has been persisted, or rejects once it has been rolled back.
+  // Should the change be impossible, an `ImpaginationError` is thrown
+  // in `strict` mode, and emitted as an 'error' event otherwise.
+  // put and delete also accept `{ id }` in place of an index.
+  post(data, index = 0) {
+    return this._mutate(() => {
+      this._checkIndex(index, this.state.length + 1);
+
+      let { page } = this._recordAt(index);
+      // The list has grown, so a short page may no longer be the last
+      this.state = this.state.splice(index, 0, data).reopen();
+      this.emit('record:mutated', this.state.getPage(page.offset), this.state);
+
+      let saved = this.create ?
+        this._persist(this.create(data, index), data, (state) => state.replace(data)) :
+        Promise.resolve();
+
+      this._fetchPages(this.state.reachable);
+
+      return { records: this._recordsOf(data, page.offset), saved };
+    });
+  }
+
+  put(data, index = this.state.readOffset) {
+    return this._mutate(() => {
+      index = this._indexOf(index);
+      this._checkIndex(index, this.state.length);
+
+      let record = this.state.getRecord(index);
+      let original = record.content;
+      let item = Object.assign({}, original, data);
+      this.state = this.state.splice(index, 1, item);
+      this.emit('record:mutated', this.state.getPage(record.page.offset), this.state);
+
+      let saved = this.update ?
+        this._persist(this.update(item, index), item, (state) => state.replace(item, original)) :
+        Promise.resolve();
+
+      return { records: this._recordsOf(item, record.page.offset), saved };
+    });
+  }
+
+  delete(index = this.state.readOffset) {
+    return this._mutate(() => {
+      index = this._indexOf(index);
+      this._checkIndex(index, this.state.length);
+
+      let record = this.state.getRecord(index);
+      let { page, content } = record;
+      let previous = this.state.getRecord(index - 1).content;
+      let next = this.state.getRecord(index + 1).content;
+      this.state = this.state.splice(index, 1);
+      this.emit('record:mutated', this.state.getPage(page.offset), this.state);
+
+      // Other mutations may have shifted the indexes in the meantime,
+      // so the record goes back next to one of its former neighbours
+      let rollback = (state) => {
+        let at = state.indexOfContent(previous);
+        at = at === -1 ? state.indexOfContent(next) : at + 1;
+        return state.splice(at === -1 ? index : at, 0, content);
+      };
+
+      let saved = this.destroy ?
+        this._persist(this.destroy(content, index), undefined, rollback) :
+        Promise.resolve();
+
+      return { records: [record], saved };
+    });
+  }
+
+  // Applies a batch of changes pushed by the server, in order, and
+  // emits a single new state. Changes take the form
+  // `{ type: 'insert', index, content }`,
+  // `{ type: 'update', index | id, content }` or
+  // `{ type: 'remove', index | id }`. Only resolved records are
+  // changed. Pending pages which are affected would resolve with
+  // outdated records, so they are marked stale and fetched again.
+  applyChanges(changes = []) {
+    let state = this.state;
+    let stale = [];
+    let unapplied = 0;
+
+    changes.forEach((change) => {
+      let isInsert = change.type === 'insert';
+      let index = change.id !== undefined ? state.indexOfId(change.id) : Number(change.index);
+      // Like `post`, an insert at the end goes to the last page
+      let at = isInsert ? Math.max(Math.min(index, state.length - 1), 0) : index;
+      let record = index >= 0 ? state.getRecord(at) : new Record();
+
+      if (record.isResolved) {
+        if (isInsert) {
+          state = state.splice(index, 0, change.content);
+        } else if (change.type === 'update') {
+          state = state.splice(index, 1, change.content);
+        } else {
+          state = state.splice(index, 1);
+        }
+        return;
+      }
+
+      unapplied += isInsert ? 1 : change.type === 'remove' ? -1 : 0;
+      if (record.isPending && !stale.includes(record.page.offset)) {
+        stale.push(record.page.offset);
+      }
+    });
+
+    this.state = state.resize(unapplied);
+
+    // The cached records of stale pages are outdated as well
+    stale.forEach((offset) => {
+      this._abortRequest(offset);
+      this._uncachePage(offset);
+    });
+    let refetch = this.state.pending.filter((p) => stale.includes(p.offset));
+    this._fetchPages(refetch.concat(this.state.reachable));
+    this._unfetchPages(this.state.unfetchable);
+
+    this._notify();
+
+    return { state: this.state, stale: refetch.map((p) => this.state.getPage(p.offset)) };
+  }
+
+  // An ES Observable of every new `state`
+  states() {
+    return new StateObservable(this);
+  }
+
+  [asyncIterator]() {
+    return new StateIterator(this);
+  }
+
+  // Moves on to a `state` which reads somewhere else
+  _read(state) {
+    this.state = state;
+
+    this._abortRequests();
+    this._fetchPages(this.state.reachable);
+    this._revalidatePages(this.state.expired);
+    this._unfetchPages(this.state.unfetchable);
+
+    this._notify();
+  }
+
+  _unfetchAll() {
+    Object.keys(this._retryTimers).forEach((offset) => this._cancelRetry(offset));
+    Object.keys(this._requests).forEach((offset) => this._abortRequest(offset));
     this._unfetchPages(this.state.unfetchable.concat(this.state.resolved));
+  }
+
+  // Starts over with a new generation of state, which ignores the
+  // responses to requests of the previous one
+  _startOver(readOffset, stats) {
+    let { anchor, pageSize, visibleStart, visibleEnd } = this.state;
+    // Like the end, the first page before an anchor is found again
+    if (anchor) {
+      stats = anchorStats(anchor, pageSize, Object.assign({}, stats, { firstPage: undefined }));
+    }
 
     this.state = new State({
       pageSize: this.state.pageSize,
       loadHorizon: this.state.loadHorizon,
       unloadHorizon: this.state.unloadHorizon,
-      stats: this.state.stats,
-      readOffset: undefined
+      filter: this.state.filter,
+      loadAhead: this.state.loadAhead,
+      loadBehind: this.state.loadBehind,
+      unloadAhead: this.state.unloadAhead,
+      unloadBehind: this.state.unloadBehind,
+      directional: this.state.directional,
+      identify: this.state.identify,
+      sort: this.state.sort,
+      sortScope: this.state.sortScope,
+      groupBy: this.state.groupBy,
+      maxAge: this.state.maxAge,
+      pagination: this.state.pagination,
+      inferEnd: this.state.inferEnd,
+      anchor,
+      stats,
+      readOffset: undefined,
+      generation: this.state.generation + 1
     });
 
-    if (readOffset !== this.state.readOffset) {
-      this.setReadOffset(readOffset);
+    // The visible range keeps its size, starting at `readOffset`
+    if (readOffset === undefined) {
+      this._notify();
+    } else if (visibleStart !== undefined) {
+      this.setVisibleRange(readOffset, Number(readOffset) + visibleEnd - visibleStart);
     } else {
-      this.observe(this.state);
+      this.setReadOffset(readOffset);
     }
   }
 
-  post(data, index = 0) {
-    try {
-      this.state = this.state.splice(index, 0, data);
-    } catch(err) {
-      console.error(`Error: Impagination did not POST ${data}. Could not find resolved page for record at index ${index}`);
+  // Notify `observe` and every 'state' listener of the current state
+  _notify() {
+    if (this._deferred) {
+      this._deferred.notify = true;
+      return;
     }
+    this._markNotified();
     this.observe(this.state);
+    this.emit('state', this.state);
   }
 
-  put(data, index) {
-    index = index || this.state.readOffset;
-    try {
-      let record = this.state.getRecord(index);
-      let item = Object.assign({}, record.page.records[record.index], data);
-      this.state = this.state.splice(index, 1, item);
-    } catch(err) {
-      console.error(`Error: Impagination did not PUT ${data}. Could not find resolved page for record at index ${index}`);
+  // Pages may have loaded before the anchor over several states, so
+  // the index shift is measured from the last state observed
+  _markNotified() {
+    if (this.state !== this._notified) {
+      let indexShift = this.state.shiftSince(this._notified);
+      if (indexShift !== this.state.indexShift) {
+        this.state = new State(this.state, { indexShift });
+      }
+      this._notified = this.state;
     }
-    this.observe(this.state);
   }
 
-  delete(index) {
-    index = index || this.state.readOffset;
+  // Events wait while `_settle()` runs a transition
+  emit(event, ...args) {
+    if (this._deferred) {
+      this._deferred.push(super.emit.bind(this, event, ...args));
+      return this;
+    }
+    return super.emit(event, ...args);
+  }
+
+  // Runs `transition`, e.g. once a page resolves, through to the state
+  // it leaves behind before any listener hears of it. Nobody called
+  // into the dataset to catch what a listener throws, so it is emitted
+  // as a `ListenerError` instead.
+  _settle(transition) {
+    let deferred = this._deferred = [];
     try {
-      this.state = this.state.splice(index, 1);
-    } catch(err) {
-      console.error(`Error: Impagination did not DELETE record at ${index}. Could not find resolved page for record at index ${index}`);
+      transition();
+    } finally {
+      this._deferred = null;
     }
-    this.observe(this.state);
+
+    if (deferred.notify) {
+      deferred.push(() => this._markNotified(), () => this.observe(this.state), () => this.emit('state', this.state));
+    }
+    deferred.forEach((deliver) => {
+      try {
+        deliver();
+      } catch(error) {
+        this._reportListenerError(error);
+      }
+    });
   }
 
-  _fetchPages(fetchable) {
-    let stats = this.state.stats;
-    fetchable.forEach((page) => {
-      return this.fetch.call(this, page.offset, this.state.pageSize, stats).then((records = []) => {
-        return this.observe(this.state = this.state.resolve(records, page.offset, stats));
-      }).catch((error = {}) => {
-        return this.observe(this.state = this.state.reject(error, page, stats));
+  // Errors thrown by 'error' listeners themselves are thrown again
+  // asynchronously, like those of a dataset without 'error' listeners
+  _reportListenerError(error) {
+    if (this.listenerCount('error')) {
+      try {
+        this.emit('error', new ListenerError(error), this.state);
+        return;
+      } catch(err) {
+        error = err;
+      }
+    }
+    setTimeout(() => { throw error; });
+  }
+
+  // Saves an optimistic mutation to the server. While `request` is
+  // in flight, `content` is marked as saving. Once it resolves,
+  // `content` is replaced with the server's canonical record, if there
+  // is one. Should it reject, `rollback` undoes the mutation, and the
+  // returned promise rejects with the server's error.
+  _persist(request, content, rollback) {
+    this.state = this.state.setSaving(content, true);
+
+    let saved = Promise.resolve(request).then((canonical) => this._settle(() => {
+      this.state = this.state.setSaving(content, false);
+      if (canonical && content !== undefined) {
+        this.state = this.state.replace(content, canonical);
+      }
+      this._notify();
+    }), (error) => {
+      this._settle(() => {
+        this.state = this.state.setSaving(content, false);
+        let rollbackError;
+        try {
+          this.state = rollback(this.state);
+        } catch(err) {
+          rollbackError = new RollbackError(err);
+        }
+        this.emit('error', error, this.state);
+        if (rollbackError) {
+          this.emit('error', rollbackError, this.state);
+        }
+        this._notify();
       });
+      throw error;
     });
 
+    // The error is emitted as well, so ignoring `saved` is safe
+    saved.catch(() => {});
+    return saved;
+  }
+
+  // Fetching resumes as soon as anything listens to states again
+  on(event, handler) {
+    super.on(event, handler);
+    if (event === 'state' && this._paused) {
+      this._paused = false;
+      // Only a state which the listener has not seen yet is notified
+      let { state } = this;
+      this._dequeue();
+      if (this.state !== state) {
+        this._notify();
+      }
+    }
+    return this;
+  }
+
+  // Once streams have subscribed, no further pages are fetched while
+  // nothing is listening
+  off(event, handler) {
+    super.off(event, handler);
+    if (event === 'state' && this._streamed && !this._observed && !this.listenerCount('state')) {
+      this._paused = true;
+    }
+    return this;
+  }
+
+  // Subscribes a state stream, and returns how to unsubscribe it
+  _subscribe(handler) {
+    this._streamed = true;
+    this.on('state', handler);
+    return () => this.off('state', handler);
+  }
+
+  _mutate(mutation) {
+    try {
+      let result = mutation();
+      this._notify();
+      return Object.assign({ state: this.state }, result);
+    } catch(error) {
+      if (this.strict || !(error instanceof ImpaginationError)) {
+        throw error;
+      }
+      this.emit('error', error, this.state);
+      return { state: this.state, records: [], saved: Promise.resolve(), error };
+    }
+  }
+
+  _checkIndex(index, length) {
+    if (!(index >= 0 && index < length)) {
+      throw new IndexOutOfRangeError(index, length);
+    }
+  }
+
+  // Resolves an `{ id }` to the index of its record
+  _indexOf(index) {
+    if (index === null || typeof index !== 'object') { return index; }
+
+    let found = this.state.indexOfId(index.id);
+    if (found === -1) {
+      throw new RecordNotFoundError(index.id);
+    }
+    return found;
+  }
+
+  // The records for `content` on the page at `pageOffset`, which may
+  // be none if `content` is filtered out
+  _recordsOf(content, pageOffset) {
+    return this.state.getPage(pageOffset).records.filter((r) => r.content === content);
+  }
+
+  // The record `State.splice` would mutate for `index`
+  _recordAt(index) {
+    let start = Math.max(Math.min(index, this.state.length - 1), 0);
+    return this.state.getRecord(start);
+  }
+
+  _fetchPages(fetchable) {
+    this.state = this.state.enqueue(fetchable);
+    this._dequeue();
+  }
+
+  // Request queued pages, nearest to the visible range first, for as
+  // long as there are fewer than `maxConcurrentFetches` in flight
+  _dequeue() {
+    if (this._paused) { return; }
+
+    let available = Math.max(this.maxConcurrentFetches - Object.keys(this._requests).length, 0);
+    let fetchable = this.state.queued.slice(0, available);
+    // Refreshes wait for the pages which have no records yet
+    let refreshable = this.state.revalidating.filter((p) => !this._requests[p.offset]);
+    refreshable = refreshable.slice(0, available - fetchable.length);
+
+    fetchable.concat(refreshable).forEach((page) => this._request(page));
+
     this.state = this.state.fetch(fetchable);
+
+    fetchable.concat(refreshable).forEach((page) => {
+      this.emit('page:requested', this.state.getPage(page.offset), this.state);
+    });
+  }
+
+  // Fetches `page`, which is about to become pending or revalidating
+  _request(page) {
+    let { stats, generation } = this.state;
+
+    this._cancelRetry(page.offset);
+    this._abortRequest(page.offset);
+
+    let { signal } = this._requests[page.offset] = createAbortController();
+    let { cursor, direction } = this.state.cursorFor(page.offset) || {};
+    let priority = this.state.isVisible(page.offset) ? 'high' : 'low';
+    let options = { signal, cursor, direction, anchor: this.state.anchor, priority };
+
+    let { query } = this;
+    let fetch = () => this.fetch.call(this, page.offset, this.state.pageSize, stats, query, options);
+
+    // Revalidating and stale pages skip the cache, since they want
+    // fresh records
+    let isCached = false;
+    let skipCache = page.isRevalidating || this._uncached[page.offset];
+    delete this._uncached[page.offset];
+    let request = this.cache && !skipCache ? this._cached(page.offset).then((cached) => {
+      isCached = !!cached;
+      return cached || signal.aborted ? cached : fetch();
+    }) : fetch();
+
+    // Errors thrown by listeners are not failed fetches, so the page
+    // settles before listeners are called
+    return request.then((records = []) => this._settle(() => {
+      if (this._isStale(generation, page.offset, { records })) { return; }
+      if (signal.aborted) { return; }
+      delete this._requests[page.offset];
+      // `stats` may have been replaced since, e.g. by `reopen()`
+      this.state = this.state.resolve(records, page.offset, this.state.stats);
+      let resolved = this.state.getPage(page.offset);
+      this._cachePage(resolved);
+      this.emit('page:resolved', resolved, this.state);
+      if (resolved.duplicates.length) {
+        this.emit('page:drifted', resolved, this.state);
+      }
+      // Cached records may be older than `maxAge` already
+      if (isCached) {
+        this._revalidatePages(this.state.expired.filter((p) => p.offset === page.offset));
+      }
+      // A short page ends the dataset, and drops the pending pages
+      // beyond it
+      this._abortRequests();
+      this._unfetchPages(this.state.unfetchable);
+      // Resolving a page may reveal the cursor to its neighbours
+      this._fetchPages(this.state.reachable);
+      this._notify();
+    }), (error = {}) => this._settle(() => {
+      if (this._isStale(generation, page.offset, { error })) { return; }
+      if (signal.aborted) { return; }
+      delete this._requests[page.offset];
+      let isRevalidating = this.state.getPage(page.offset).isRevalidating;
+      let retryAt = this._scheduleRetry(error, page.offset);
+      this.state = this.state.reject(error, page, this.state.stats, retryAt);
+      if (isRevalidating) {
+        this.emit('error', error, this.state);
+      } else {
+        this.emit('page:rejected', this.state.getPage(page.offset), this.state);
+      }
+      this._dequeue();
+      this._notify();
+    }));
+  }
+
+  // Fetches resolved `pages` again, keeping their records until the
+  // fresh ones arrive. Like any other page, they wait for a free slot.
+  _revalidatePages(pages) {
+    if (!pages.length) { return; }
+
+    this.state = this.state.revalidate(pages);
+    this._dequeue();
+  }
+
+  // Returns the time at which the page will be fetched again, or
+  // `null` if the retry policy gives up on it
+  _scheduleRetry(error, pageOffset) {
+    let page = this.state.getPage(pageOffset);
+    if (!page.isPending || !this.retryPolicy.shouldRetry(error, page.attempts)) {
+      return null;
+    }
+
+    let delay = this.retryPolicy.delayFor(page.attempts);
+    this._retryTimers[pageOffset] = setTimeout(() => {
+      delete this._retryTimers[pageOffset];
+      this._settle(() => this.retry(pageOffset));
+    }, delay);
+
+    return Date.now() + delay;
+  }
+
+  // Responses to requests made before the last `reset()` belong to a
+  // previous generation of state and must not be applied to this one
+  _isStale(generation, pageOffset, response) {
+    if (generation === this.state.generation) { return false; }
+
+    this.onStaleResponse(Object.assign({
+      pageOffset,
+      generation,
+      currentGeneration: this.state.generation
+    }, response));
+
+    return true;
+  }
+
+  // Abort in-flight requests whose pages are no longer pending or
+  // revalidating, e.g.
+  // because they have left the load horizon
+  _abortRequests() {
+    Object.keys(this._requests).forEach((offset) => {
+      let page = this.state.getPage(Number(offset));
+      if (!page.isPending && !page.isRevalidating) {
+        this._abortRequest(offset);
+      }
+    });
+  }
+
+  _abortRequest(pageOffset) {
+    let controller = this._requests[pageOffset];
+    if (controller) {
+      delete this._requests[pageOffset];
+      controller.abort();
+    }
+  }
+
+  _cancelRetry(pageOffset) {
+    clearTimeout(this._retryTimers[pageOffset]);
+    delete this._retryTimers[pageOffset];
+  }
+
+  // The cached response for the page at `pageOffset`, if any. A cache
+  // which fails is treated like a cache miss.
+  _cached(pageOffset) {
+    if (!this.cache) { return Promise.resolve(); }
+
+    let key = this._cacheKey(pageOffset);
+    return Promise.resolve()
+      .then(() => this.cache.get(key))
+      .catch(() => undefined);
+  }
+
+  _cachePage(page) {
+    if (!this.cache || !page.isResolved) { return; }
+
+    let key = this._cacheKey(page.offset);
+    let { data, nextCursor, prevCursor, resolvedAt } = page;
+    Promise.resolve()
+      .then(() => this.cache.set(key, { records: data, nextCursor, prevCursor, resolvedAt }))
+      .catch(() => {});
+  }
+
+  // Drops the cached records of the page at `pageOffset`, which is
+  // fetched without the cache the next time
+  _uncachePage(pageOffset) {
+    if (!this.cache) { return; }
+
+    let key = this._cacheKey(pageOffset);
+    this._uncached[pageOffset] = true;
+    Promise.resolve()
+      .then(() => this.cache.delete(key))
+      .catch(() => {});
+  }
+
+  // Cached pages are namespaced by `queryKey`, which is either a
+  // string or a function of the query
+  _cacheKey(pageOffset) {
+    let queryKey = typeof this.queryKey === 'function' ? this.queryKey(this.query) : this.queryKey;
+    return `${queryKey}:${pageOffset}`;
   }
 
   _unfetchPages(unfetchable) {
     this.state = this.state.unfetch(unfetchable);
 
     unfetchable.forEach((page) => {
+      this._cachePage(page);
       this.unfetch.call(this, page.records, page.offset);
+      this.emit('page:unloaded', page, this.state);
     });
   }
 };
+
+function serializeQuery(query) {
+  return query === undefined ? '' : JSON.stringify(query);
+}
+
+// Horizons which are not given fall back to the symmetric ones
+function horizon(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function identifyBy(idKey) {
+  return idKey ? (content) => content[idKey] : null;
+}
+
+// Page 0 of an anchored dataset starts at the anchor. If the anchor is
+// an `offset`, the first page is known to be the one which holds
+// record 0. Otherwise it is found once a page before the anchor
+// resolves with fewer than `pageSize` records.
+function anchorStats(anchor, pageSize, stats) {
+  if (anchor && anchor.offset !== undefined && stats.firstPage === undefined) {
+    stats.firstPage = -Math.ceil(Number(anchor.offset) / Number(pageSize));
+  }
+  return stats;
+}
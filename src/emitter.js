@@ -0,0 +1,42 @@
+// Minimal event emitter, so that any number of listeners can subscribe
+// to a dataset alongside its single `observe` callback.
+export default class Emitter {
+  on(event, handler) {
+    listeners(this, event).push(handler);
+    return this;
+  }
+
+  // Removes `handler`, or every handler for `event` if none is given
+  off(event, handler) {
+    let handlers = listeners(this, event);
+    this._listeners[event] = handler ? handlers.filter((h) => {
+      return h !== handler && h.handler !== handler;
+    }) : [];
+    return this;
+  }
+
+  once(event, handler) {
+    let once = (...args) => {
+      this.off(event, once);
+      return handler.apply(this, args);
+    };
+    once.handler = handler;
+    return this.on(event, once);
+  }
+
+  emit(event, ...args) {
+    listeners(this, event).slice().forEach((handler) => {
+      handler.apply(this, args);
+    });
+    return this;
+  }
+
+  listenerCount(event) {
+    return listeners(this, event).length;
+  }
+};
+
+function listeners(emitter, event) {
+  emitter._listeners = emitter._listeners || {};
+  return emitter._listeners[event] = emitter._listeners[event] || [];
+}
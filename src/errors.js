@@ -0,0 +1,57 @@
+// Babel cannot subclass `Error` properly, so `name`, `message` and
+// `stack` are assigned by hand.
+export class ImpaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.message = message;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+}
+
+// The record at `index` is not resolved, so it cannot be mutated
+export class UnresolvedRecordError extends ImpaginationError {
+  constructor(index) {
+    super(`Impagination could not find resolved page for record at index ${index}`);
+    this.index = index;
+  }
+}
+
+// `index` lies outside of the `length` records which can be mutated
+export class IndexOutOfRangeError extends ImpaginationError {
+  constructor(index, length) {
+    super(`Impagination index ${index} is out of range for ${length} records`);
+    this.index = index;
+    this.length = length;
+  }
+}
+
+// No resolved record is identified by `id`
+export class RecordNotFoundError extends ImpaginationError {
+  constructor(id) {
+    super(`Impagination could not find resolved record with id ${id}`);
+    this.id = id;
+  }
+}
+
+// A mutation failed to save, and could not be undone either, e.g.
+// because its records were unloaded in the meantime
+export class RollbackError extends ImpaginationError {
+  constructor(error) {
+    super(`Impagination could not roll back a failed save. ${error.message}`);
+    this.error = error;
+  }
+}
+
+// A listener threw while being told about a change which did not come
+// from a call into the dataset, such as a page resolving
+export class ListenerError extends ImpaginationError {
+  constructor(error) {
+    super(`Impagination listener failed. ${error.message}`);
+    this.error = error;
+  }
+}
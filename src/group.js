@@ -0,0 +1,17 @@
+// Splits `records` into runs of consecutive records whose content
+// `groupBy` the same key. `start` is relative to the first record.
+export default function group(records, groupBy) {
+  let runs = [];
+  let last;
+
+  records.forEach((record, index) => {
+    let key = groupBy(record.content);
+    if (last && last.key === key) {
+      last.count++;
+    } else {
+      runs.push(last = { key, start: index, count: 1 });
+    }
+  });
+
+  return runs;
+}
@@ -0,0 +1,92 @@
+// Page caches store the response of each resolved page, so that pages
+// which were unloaded can be restored without fetching them again.
+// A cache is any object with `get(key)`, `set(key, response)`,
+// `delete(key)` and `clear()`. Each of them may return a promise.
+
+// Keeps the `maxSize` most recently used pages in memory
+export class MemoryCache {
+  constructor({ maxSize = 100 } = {}) {
+    this.maxSize = maxSize;
+    this._entries = new Map();
+  }
+
+  get(key) {
+    if (!this._entries.has(key)) { return undefined; }
+
+    let response = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, response);
+    return response;
+  }
+
+  set(key, response) {
+    this._entries.delete(key);
+    this._entries.set(key, response);
+
+    // Maps iterate in insertion order, least recently used first
+    let keys = this._entries.keys();
+    while (this._entries.size > this.maxSize) {
+      this._entries.delete(keys.next().value);
+    }
+  }
+
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
+
+// Serializes pages as JSON into a `storage` with the interface of
+// `localStorage`. Storages whose `getItem`, `setItem` and `removeItem`
+// return promises, such as wrappers around IndexedDB, work as well.
+export class StorageCache {
+  constructor(storage, { prefix = 'impagination:' } = {}) {
+    this.storage = storage;
+    this.prefix = prefix;
+    this._keys = new Set();
+  }
+
+  get(key) {
+    return then(this.storage.getItem(this.prefix + key), (item) => {
+      return item == null ? undefined : JSON.parse(item);
+    });
+  }
+
+  set(key, response) {
+    this._keys.add(key);
+    return this.storage.setItem(this.prefix + key, JSON.stringify(response));
+  }
+
+  delete(key) {
+    this._keys.delete(key);
+    return this.storage.removeItem(this.prefix + key);
+  }
+
+  // Removes the pages stored by this cache, as well as those stored
+  // under its `prefix` before, if the storage can list its keys
+  clear() {
+    let keys = Array.from(this._keys).map((key) => this.prefix + key);
+
+    if (typeof this.storage.key === 'function') {
+      for (let i = 0; i < this.storage.length; i++) {
+        let key = this.storage.key(i);
+        if (key.indexOf(this.prefix) === 0 && !keys.includes(key)) {
+          keys.push(key);
+        }
+      }
+    }
+
+    this._keys.clear();
+    return Promise.all(keys.map((key) => this.storage.removeItem(key)));
+  }
+}
+
+function then(value, callback) {
+  if (value && typeof value.then === 'function') {
+    return value.then(callback);
+  }
+  return callback(value);
+}
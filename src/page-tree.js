@@ -27,19 +27,26 @@ export default class PageTree extends AVLTree {
     });
   }
 
-  updateKeys(forEachCallback) {
+  // Record keys count from page 0, so pages before it, which only
+  // exist when a dataset is anchored, have negative record keys.
+  updateKeys() {
+    let nodes = [];
     this.executeOnEveryNode((node) => {
+      if (node.data.length) { nodes.push(node); }
+    });
 
-      let { data, key, left } = node;
-
-      if(!data.length) { return; }
+    let first = nodes.findIndex((node) => node.data[0].offset >= 0);
+    if (first === -1) { first = nodes.length; }
 
-      let recordIndex, page = data[0];
+    // From page 0 onwards
+    nodes.slice(first).forEach((node, i, forward) => {
+      let page = node.data[0];
+      let recordIndex;
 
-      if (!this.prevNode) {
+      if (!i) {
         recordIndex = page.size * page.offset;
       } else {
-        let prevNode = this.prevNode;
+        let prevNode = forward[i - 1];
         let prevPage = prevNode.data[0];
         recordIndex = prevNode.key.record + prevPage.records.length;
 
@@ -49,13 +56,31 @@ export default class PageTree extends AVLTree {
         }
       }
 
-      Object.assign(node.key, {record: recordIndex});
-      this.prevNode = node;
+      Object.assign(node.key, { record: recordIndex });
+    });
+
+    // And backwards from page 0
+    let end = 0;
+    let nextOffset = 0;
+    nodes.slice(0, first).reverse().forEach((node) => {
+      let page = node.data[0];
+      end -= page.size * (nextOffset - page.offset - 1) + page.records.length;
+      nextOffset = page.offset;
+
+      Object.assign(node.key, { record: end });
     });
-    delete this.prevNode;
   }
 };
 
+PageTree.prototype.clone = function() {
+  let tree = new PageTree();
+  this.betweenBounds({}).forEach((page) => {
+    tree.insert(page.offset, page);
+  });
+  tree.updateKeys();
+  return tree;
+};
+
 PageTree.prototype.searchPage = function(offset) {
   return AVLTree.prototype.search.call(this, { page: offset });
 };
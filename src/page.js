@@ -1,4 +1,5 @@
 import Record from './record';
+import group from './group';
 
 // Array.prototype.fill
 function fill(array, value) {
@@ -12,13 +13,18 @@ class UnrequestedPage {
   constructor(offset = null, size = 0) {
     this.offset = offset;
     this.size = size;
+    this.attempts = 0;
+    this.saving = [];
+    this.duplicates = [];
     this.data = fill(new Array(size), null);
   }
 
   get isRequested() { return this.isPending || this.isResolved || this.isRejected; }
+  get isQueued() { return false; }
   get isPending() { return false; }
   get isResolved() { return false; }
   get isRejected() { return false; }
+  get isRevalidating() { return false; }
   get isSettled() { return !this.isPending && (this.isResolved || this.isRejected); }
 
   get records(){
@@ -32,6 +38,9 @@ class UnrequestedPage {
         this._records = records.filter((record, index, arr) => {
           return this.filterCallback(record.content, index, arr);
         });
+        if (this.sortCallback) {
+          this._records.sort((a, b) => this.sortCallback(a.content, b.content));
+        }
       } else {
         this._records = records;
       }
@@ -40,8 +49,24 @@ class UnrequestedPage {
     return this._records;
   }
 
+  // Runs of records which `groupBy` the same key. Pages do not change,
+  // so these are only computed once per page.
+  groups(groupBy) {
+    if (!this.isResolved) { return []; }
+
+    if (!this._groups || this._groupBy !== groupBy) {
+      this._groupBy = groupBy;
+      this._groups = group(this.records, groupBy);
+    }
+    return this._groups;
+  }
+
+  enqueue() {
+    return new QueuedPage(this);
+  }
+
   request() {
-    return new PendingPage(this);
+    return new PendingPage(this, this.attempts + 1);
   }
 
   unload() {
@@ -49,19 +74,38 @@ class UnrequestedPage {
   }
 }
 
+// Waiting for a free slot before it can be requested
+class QueuedPage extends UnrequestedPage {
+  constructor(page) {
+    super(page.offset, page.size);
+    this.attempts = page.attempts;
+  }
+
+  get isQueued() { return true; }
+
+  enqueue() {
+    return this;
+  }
+
+  unload() {
+    return new UnrequestedPage(this.offset, this.size);
+  }
+}
+
 class PendingPage extends UnrequestedPage {
-  constructor(unrequested) {
+  constructor(unrequested, attempts = unrequested.attempts) {
     super(unrequested.offset, unrequested.size);
+    this.attempts = attempts;
   }
 
   get isPending() { return true; }
 
-  resolve(records, filterCallback) {
-    return new ResolvedPage(this, records, filterCallback);
+  resolve(records, filterCallback, cursors, sortCallback) {
+    return new ResolvedPage(this, records, filterCallback, cursors, sortCallback);
   }
 
-  reject(error) {
-    return new RejectedPage(this, error);
+  reject(error, retryAt) {
+    return new RejectedPage(this, error, retryAt);
   }
 
   request() {
@@ -74,25 +118,67 @@ class PendingPage extends UnrequestedPage {
 }
 
 class ResolvedPage extends PendingPage {
-  constructor(pending, data, filterCallback) {
+  constructor(pending, data, filterCallback, cursors = pending, sortCallback = pending.sortCallback) {
     super(pending);
     this.filterCallback = filterCallback || function() {return true;};
+    this.sortCallback = sortCallback || null;
     this.data = data;
+    this.nextCursor = cursors.nextCursor;
+    this.prevCursor = cursors.prevCursor;
+    this.saving = pending.saving.filter((content) => data.includes(content));
+    this.duplicates = pending.duplicates;
+    this.resolvedAt = pending.resolvedAt || Date.now();
   }
   get isPending() { return false; }
   get isResolved() { return true; }
   get isSettled() { return true; }
+
+  revalidate() {
+    return new RevalidatingPage(this, this.data, this.filterCallback);
+  }
+}
+
+// Fetching fresh records, while keeping its current records
+class RevalidatingPage extends ResolvedPage {
+  get isRevalidating() { return true; }
+
+  // Records may still change locally while revalidating
+  resolve(records, filterCallback, cursors, sortCallback) {
+    return new RevalidatingPage(this, records, filterCallback, cursors, sortCallback);
+  }
+
+  revalidate() {
+    return this;
+  }
+
+  // Swaps in the fresh records
+  refresh(records, filterCallback, cursors, sortCallback) {
+    let page = new ResolvedPage(this, records, filterCallback, cursors, sortCallback);
+    page.resolvedAt = Date.now();
+    return page;
+  }
+
+  // Keeps the current records, e.g. because the fetch failed
+  cancel() {
+    return new ResolvedPage(this, this.data, this.filterCallback);
+  }
 }
 
 class RejectedPage extends PendingPage {
-  constructor(pending, error) {
+  constructor(pending, error, retryAt = null) {
     super(pending);
     this.error = error;
+    this.retryAt = retryAt;
   }
 
   get isPending() { return false; }
   get isRejected() { return true; }
   get isSettled() { return true; }
+
+  // Requesting a rejected page tries to fetch it again
+  request() {
+    return new PendingPage(this, this.attempts + 1);
+  }
 }
 
 export default UnrequestedPage;
@@ -14,6 +14,7 @@ class Record {
   get isPending() { return this.page.isPending; }
   get isResolved() { return this.page.isResolved; }
   get isRejected() { return this.page.isRejected; }
+  get isSaving() { return this.page.saving.includes(this.content); }
 }
 
 export default Record;
@@ -0,0 +1,26 @@
+// Decides whether a rejected page should be fetched again, and how
+// long to wait before doing so. Delays grow exponentially with the
+// number of attempts and are randomly shortened by up to `jitter` so
+// that many failing pages do not retry in lockstep.
+export default class RetryPolicy {
+  constructor(attrs = {}) {
+    Object.assign(this, {
+      maxAttempts: 3,
+      delay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: 0.5,
+      retryable: function() { return true; }
+    }, attrs);
+  }
+
+  shouldRetry(error, attempts) {
+    return attempts < this.maxAttempts && !!this.retryable(error, attempts);
+  }
+
+  delayFor(attempts) {
+    let delay = this.delay * Math.pow(this.factor, attempts - 1);
+    delay = Math.min(delay, this.maxDelay);
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+  }
+};
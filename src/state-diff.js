@@ -0,0 +1,229 @@
+// Computes the record level changes between two states. Pages which
+// are identical in both states are skipped without looking at their
+// records, so the cost of a diff is proportional to the pages which
+// actually changed.
+//
+// Changes refer to record indexes in the previous state as `from` and
+// to record indexes in the next state as `to`:
+//
+//   { type: 'remove', from, count }
+//   { type: 'insert', to, count }
+//   { type: 'update', from, to, count }
+//   { type: 'move', from, to, count }
+export default function diff(prev, next) {
+  // Records which are sorted across pages are compared as a whole
+  if (prev._sortsAcrossPages || next._sortsAcrossPages) {
+    let changes = [];
+    diffBlocks(whole(prev), whole(next), 0, 0, changes);
+    return coalesce(changes);
+  }
+
+  let changes = [];
+  let from = 0;
+  let to = 0;
+  let offset = Math.min(first(prev), first(next));
+
+  let pages = unionOfOffsets(prev, next);
+  let end = Math.max(extent(prev), extent(next));
+
+  pages.concat(end).forEach((pageOffset) => {
+    // Pages which are in neither state are all unrequested
+    let a = virtualCount(prev, offset, pageOffset);
+    let b = virtualCount(next, offset, pageOffset);
+    diffCounts(a, b, from, to, changes);
+    from += a;
+    to += b;
+
+    if (pageOffset < end) {
+      let prevBlock = block(prev, pageOffset);
+      let nextBlock = block(next, pageOffset);
+      diffBlocks(prevBlock, nextBlock, from, to, changes);
+      from += prevBlock.records.length;
+      to += nextBlock.records.length;
+    }
+
+    offset = pageOffset + 1;
+  });
+
+  return coalesce(changes);
+}
+
+function unionOfOffsets(prev, next) {
+  let offsets = prev.pages.concat(next.pages).map((page) => page.offset);
+  return offsets
+    .filter((offset, index) => offsets.indexOf(offset) === index)
+    .sort((a, b) => a - b);
+}
+
+// Number of pages the record indexes of `state` extend over
+function extent(state) {
+  let pages = state.pages;
+  let last = pages.length ? pages[pages.length - 1].offset + 1 : 0;
+  return Math.max(last, state.stats.totalPages || 0);
+}
+
+// The offset of the page the record indexes of `state` start from,
+// which is the first requested page of an anchored state
+function first(state) {
+  if (!state.anchor) { return 0; }
+
+  let page = state.pages.find((p) => state._pages.searchPage(p.offset).key.record >= state._indexBase);
+  return page ? page.offset : 0;
+}
+
+function virtualCount(state, start, end) {
+  return Math.max(Math.min(end, extent(state)) - Math.max(start, first(state)), 0) * state.pageSize;
+}
+
+function block(state, offset) {
+  let page = state._findPage(offset);
+  // Pages before the first index have no records in it yet
+  if (page && offset >= first(state)) {
+    return { page, records: page.records.map((record) => record.content) };
+  }
+  let size = offset >= first(state) && offset < extent(state) ? state.pageSize : 0;
+  return { page: null, records: new Array(size) };
+}
+
+function whole(state) {
+  return { page: { isResolved: true }, records: state.map((record) => record.content) };
+}
+
+function status(page) {
+  if (!page) { return 'unrequested'; }
+  if (page.isResolved) { return 'resolved'; }
+  if (page.isRejected) { return 'rejected'; }
+  if (page.isPending) { return 'pending'; }
+  if (page.isQueued) { return 'queued'; }
+  return 'unrequested';
+}
+
+function diffBlocks(a, b, from, to, changes) {
+  if (a.page === b.page) { return; }
+
+  let bothResolved = !!(a.page && a.page.isResolved && b.page && b.page.isResolved);
+
+  if (!bothResolved) {
+    // Records without content only change with the status of their page
+    if (status(a.page) === status(b.page)) {
+      diffCounts(a.records.length, b.records.length, from, to, changes);
+    } else {
+      diffPositions(a.records.length, b.records.length, from, to, changes);
+    }
+    return;
+  }
+
+  let prev = a.records;
+  let next = b.records;
+
+  let start = 0;
+  while (start < prev.length && start < next.length && prev[start] === next[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < prev.length - start && end < next.length - start &&
+         prev[prev.length - 1 - end] === next[next.length - 1 - end]) {
+    end++;
+  }
+
+  prev = prev.slice(start, prev.length - end);
+  next = next.slice(start, next.length - end);
+  from += start;
+  to += start;
+
+  if (isSubsequence(next, prev)) {
+    eachMissing(next, prev, (index) => {
+      changes.push({ type: 'remove', from: from + index, count: 1 });
+    });
+  } else if (isSubsequence(prev, next)) {
+    eachMissing(prev, next, (index) => {
+      changes.push({ type: 'insert', to: to + index, count: 1 });
+    });
+  } else if (isPermutation(prev, next)) {
+    let used = [];
+    next.forEach((content, j) => {
+      let i = findUnused(prev, content, used);
+      used.push(i);
+      if (i !== j) {
+        changes.push({ type: 'move', from: from + i, to: to + j, count: 1 });
+      }
+    });
+  } else {
+    diffPositions(prev.length, next.length, from, to, changes);
+  }
+}
+
+// Records at the same position were updated, the rest were inserted
+// or removed at the end
+function diffPositions(a, b, from, to, changes) {
+  let common = Math.min(a, b);
+  if (common) {
+    changes.push({ type: 'update', from, to, count: common });
+  }
+  diffCounts(a - common, b - common, from + common, to + common, changes);
+}
+
+function diffCounts(a, b, from, to, changes) {
+  if (b > a) {
+    changes.push({ type: 'insert', to: to + a, count: b - a });
+  } else if (a > b) {
+    changes.push({ type: 'remove', from: from + b, count: a - b });
+  }
+}
+
+function isSubsequence(short, long) {
+  let i = 0;
+  long.forEach((content) => {
+    if (i < short.length && short[i] === content) { i++; }
+  });
+  return i === short.length;
+}
+
+// Calls `fn` with the index of every item of `long` not in `short`
+function eachMissing(short, long, fn) {
+  let i = 0;
+  long.forEach((content, index) => {
+    if (i < short.length && short[i] === content) {
+      i++;
+    } else {
+      fn(index);
+    }
+  });
+}
+
+function isPermutation(a, b) {
+  if (a.length !== b.length) { return false; }
+  let used = [];
+  return b.every((content) => {
+    let i = findUnused(a, content, used);
+    used.push(i);
+    return i !== -1;
+  });
+}
+
+function findUnused(array, content, used) {
+  for (let i = 0; i < array.length; i++) {
+    if (array[i] === content && !used.includes(i)) { return i; }
+  }
+  return -1;
+}
+
+// Merges adjacent changes of the same type into ranges
+function coalesce(changes) {
+  return changes.reduce((ranges, change) => {
+    let last = ranges[ranges.length - 1];
+    if (last && last.type === change.type && adjacent(last, change)) {
+      last.count += change.count;
+    } else {
+      ranges.push(Object.assign({}, change));
+    }
+    return ranges;
+  }, []);
+}
+
+function adjacent(a, b) {
+  let fromAdjacent = a.from === undefined || a.from + a.count === b.from;
+  let toAdjacent = a.to === undefined || a.to + a.count === b.to;
+  return fromAdjacent && toAdjacent;
+}
@@ -0,0 +1,78 @@
+import { asyncIterator, observable } from './symbols';
+
+// An ES Observable of the states of a dataset. Observers receive the
+// current state straight away, followed by every new state.
+export class StateObservable {
+  constructor(dataset) {
+    this._dataset = dataset;
+  }
+
+  subscribe(observer, error, complete) {
+    if (typeof observer === 'function') {
+      observer = { next: observer, error, complete };
+    }
+
+    let next = (state) => observer.next && observer.next(state);
+    next(this._dataset.state);
+
+    let unsubscribe = this._dataset._subscribe(next);
+    let closed = false;
+
+    return {
+      get closed() { return closed; },
+      unsubscribe() {
+        if (!closed) {
+          closed = true;
+          unsubscribe();
+        }
+      }
+    };
+  }
+
+  [observable]() {
+    return this;
+  }
+}
+
+// Yields the current state of a dataset, followed by every new state.
+// States are buffered until they are consumed.
+export class StateIterator {
+  constructor(dataset) {
+    this._states = [dataset.state];
+    this._waiting = [];
+    this._done = false;
+    this._unsubscribe = dataset._subscribe((state) => {
+      let resolve = this._waiting.shift();
+      if (resolve) {
+        resolve({ value: state, done: false });
+      } else {
+        this._states.push(state);
+      }
+    });
+  }
+
+  next() {
+    if (this._done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    if (this._states.length) {
+      return Promise.resolve({ value: this._states.shift(), done: false });
+    }
+    return new Promise((resolve) => this._waiting.push(resolve));
+  }
+
+  return(value) {
+    if (!this._done) {
+      this._done = true;
+      this._states = [];
+      this._unsubscribe();
+      this._waiting.forEach((resolve) => resolve({ value: undefined, done: true }));
+      this._waiting = [];
+    }
+    return Promise.resolve({ value, done: true });
+  }
+
+  [asyncIterator]() {
+    return this;
+  }
+}
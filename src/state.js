@@ -2,6 +2,9 @@ import Page from './page';
 import PageTree from './page-tree';
 import Record from './record';
 import cached from './cache-properties';
+import diff from './state-diff';
+import group from './group';
+import { UnresolvedRecordError } from './errors';
 
 // Unrequested Pages do not show up in Pages Interface
 export default class State {
@@ -12,9 +15,32 @@ export default class State {
       pageSize: 0,
       loadHorizon: previous.pageSize || 0,
       unloadHorizon: Infinity,
+      loadAhead: null,
+      loadBehind: null,
+      unloadAhead: null,
+      unloadBehind: null,
+      directional: false,
+      direction: 0,
+      velocity: 0,
+      _readAt: undefined,
       readOffset: undefined,
+      visibleStart: undefined,
+      visibleEnd: undefined,
+      generation: 0,
+      pagination: 'offset',
+      maxAge: Infinity,
+      inferEnd: true,
+      _endInferred: false,
       stats: { totalPages: undefined },
       filter: function() { return true; },
+      sort: null,
+      sortScope: 'page',
+      groupBy: null,
+      identify: null,
+      _ids: new Map(),
+      anchor: null,
+      indexShift: 0,
+      _indexBase: 0,
       records: {},
       [Symbol.iterator]: {
         value: function() {
@@ -34,19 +60,29 @@ export default class State {
       throw new Error('created Pages without pageSize');
     }
 
-    if (this.unloadHorizon < this.loadHorizon) {
+    let { loadAhead, loadBehind, unloadAhead, unloadBehind } = this._horizons();
+    if (unloadAhead < loadAhead || unloadBehind < loadBehind) {
       throw new Error('created Pages with unloadHorizon less than loadHorizon');
     }
 
+    // Updating the horizons must not alter the pages of `previous`
+    if (this._pages === previous._pages) {
+      this._pages = this._pages.clone();
+    }
+
     this._updateHorizons();
     this._pages.updateKeys();
+    this._shiftIndexes(attrs);
+    this._addIndeces();
+    this._indexIds(previous);
   }
 
   get pages() {
-    return this._pages.betweenBounds({ $gte: 0 });
+    return this._pages.betweenBounds({});
   }
 
-  get hasUnrequested() { return this.pages.some((p) => !p.isRequested); }
+  get hasUnrequested() { return this.pages.some((p) => !p.isRequested && !p.isQueued); }
+  get hasQueued() { return this.pages.some((p) => p.isQueued); }
   get hasRequested() { return this.pages.some((p) => p.isRequested); }
   get hasPending() { return this.pages.some((p) => p.isPending); }
   get hasResolved() { return this.pages.some((p) => p.isResolved); }
@@ -54,15 +90,117 @@ export default class State {
   get hasUnfetchable() { return !!this._unfetchablePages.length; }
 
   // fetchable
-  get unrequested() { return this.pages.filter((p) => !p.isRequested); }
+  get unrequested() { return this.pages.filter((p) => !p.isRequested && !p.isQueued); }
   get requested() { return this.pages.filter((p) => p.isRequested); }
   get pending() { return this.pages.filter((p) => p.isPending); }
   get resolved() { return this.pages.filter((p) => p.isResolved); }
   get rejected() { return this.pages.filter((p) => p.isRejected); }
   get unfetchable() { return this._unfetchablePages; }
 
+  get revalidating() { return this.resolved.filter((p) => p.isRevalidating); }
+
+  // Resolved pages which hold visible records
+  get visible() { return this.resolved.filter((p) => this.isVisible(p.offset)); }
+
+  // Resolved pages within the load horizon, around the visible range
+  get nearby() { return this._loadable(this.resolved); }
+
+  // Resolved pages within the load horizon which are older than `maxAge`
+  get expired() {
+    let now = Date.now();
+    return this.nearby.filter((p) => {
+      return !p.isRevalidating && now - p.resolvedAt >= this.maxAge;
+    });
+  }
+
+  // Resolved pages which repeated records of other pages, because the
+  // collection has shifted on the server since they were fetched
+  get drifted() { return this.resolved.filter((p) => p.duplicates.length); }
+
+  // The end of the collection is known, either from `stats` or
+  // because a page resolved with fewer than `pageSize` records
+  get isComplete() { return this.stats.totalPages !== undefined; }
+
+  // Number of records up to the last resolved record
+  get knownLength() {
+    let resolved = this.resolved;
+    if (!resolved.length) { return 0; }
+
+    let last = resolved[resolved.length - 1];
+    return this._pages.searchPage(last.offset).key.record + last.records.length - this._indexBase;
+  }
+
+  // Unrequested pages which can be fetched. With cursor pagination a
+  // page can only be fetched once the cursor leading to it is known.
+  get reachable() {
+    return this.unrequested.filter((p) => !!this.cursorFor(p.offset));
+  }
+
+  // Queued pages, those holding visible records first, and then the
+  // nearest to the visible range
+  get queued() {
+    let { first, last } = this._visibleRange();
+    let firstPage = Math.floor((first || 0) / this.pageSize);
+    let lastPage = Math.floor((last || 0) / this.pageSize);
+    let distance = (page) => Math.max(firstPage - page.offset, page.offset - lastPage, 0);
+
+    return this.pages.filter((p) => p.isQueued).sort((a, b) => {
+      return distance(a) - distance(b) || a.offset - b.offset;
+    });
+  }
+
+  // Whether the page at `offset` holds any of the visible records
+  isVisible(offset) {
+    let { first, last } = this._visibleRange();
+    if (first === undefined) { return false; }
+
+    return offset >= Math.floor(first / this.pageSize) && offset <= Math.floor(last / this.pageSize);
+  }
+
   setReadOffset(readOffset) {
-    return new State(this, { readOffset });
+    return this.setVisibleRange(readOffset, readOffset + 1);
+  }
+
+  // The records from `start` up to, but not including, `end` are
+  // visible. The horizons extend from either edge of this range, and
+  // the `readOffset` is its `start`.
+  // With `directional` horizons, the direction and velocity of the
+  // reader are measured from the previous `readOffset`.
+  setVisibleRange(start, end) {
+    let attrs = { readOffset: start, visibleStart: start, visibleEnd: end };
+    if (!this.directional) {
+      return new State(this, attrs);
+    }
+
+    let now = Date.now();
+    if (this.readOffset === undefined) {
+      return new State(this, Object.assign(attrs, { _readAt: now }));
+    }
+
+    let distance = start - this.readOffset;
+    let elapsed = now - this._readAt;
+
+    return new State(this, Object.assign(attrs, {
+      direction: Math.sign(distance) || this.direction,
+      // Records per second
+      velocity: elapsed > 0 ? Math.abs(distance) / elapsed * 1000 : this.velocity,
+      _readAt: now
+    }));
+  }
+
+  enqueue(queueable = []) {
+    if (!queueable.length) { return this; }
+
+    let _pages = new PageTree();
+
+    this.pages.forEach((p) => {
+      const page = queueable.includes(p) ? p.enqueue() : p;
+      _pages.insert(page.offset, page);
+    });
+
+    _pages.updateKeys();
+
+    return new State(this, { _pages });
   }
 
   fetch(fetchable = []) {
@@ -80,6 +218,22 @@ export default class State {
     return new State(this, { _pages });
   }
 
+  // Fetch `pages` again while keeping their current records
+  revalidate(pages = []) {
+    if (!pages.length) { return this; }
+
+    let _pages = new PageTree();
+
+    this.pages.forEach((p) => {
+      const page = pages.includes(p) && p.isResolved ? p.revalidate() : p;
+      _pages.insert(page.offset, page);
+    });
+
+    _pages.updateKeys();
+
+    return new State(this, { _pages });
+  }
+
   unfetch(unfetchable = []) {
     if (!unfetchable.length) { return this; }
     return new State(this, {
@@ -87,27 +241,101 @@ export default class State {
     });
   }
 
-  resolve(records, offset, stats) {
+  // `response` is either an array of records, or an object of the
+  // form `{ records, nextCursor, prevCursor }`. Cached responses also
+  // carry the time they were first resolved at as `resolvedAt`.
+  resolve(response, offset, stats) {
+    let { records, nextCursor, prevCursor, resolvedAt } = Array.isArray(response) ? { records: response } : response;
     let _pages = new PageTree();
 
+    stats = stats || this.stats;
+
+    // A short page is the last page, or the first page if it comes
+    // before the anchor, unless `inferEnd` is off or pages beyond it
+    // have resolved already. Like `fetch()`, we record this on the
+    // shared `stats` so that requests still in flight see it too.
+    // Refreshing a page only ever changes that page.
+    let _endInferred = this._endInferred;
+    let page = this._findPage(offset);
+    let isShort = this.inferEnd && records.length < this.pageSize && !(page && page.isRevalidating);
+    if (isShort && this.anchor && offset < 0) {
+      if (stats.firstPage === undefined && !this.resolved.some((p) => p.offset < offset)) {
+        stats.firstPage = offset;
+      }
+    } else if (isShort && stats.totalPages === undefined && !this.resolved.some((p) => p.offset > offset)) {
+      stats.totalPages = offset + 1;
+      _endInferred = true;
+    }
+
+    // With cursor pagination, a page without a cursor past it is the
+    // last page, or the first one before the anchor
+    let isCursor = this.pagination === 'cursor' && !(page && page.isRevalidating);
+    if (isCursor && nextCursor == null && stats.totalPages === undefined && !this.resolved.some((p) => p.offset > offset)) {
+      stats.totalPages = offset + 1;
+    }
+    if (isCursor && this.anchor && prevCursor == null && stats.firstPage === undefined && !this.resolved.some((p) => p.offset < offset)) {
+      stats.firstPage = offset;
+    }
+
+    let duplicates = this._duplicatesOf(records, offset);
+    if (duplicates.length) {
+      records = records.filter((content) => !duplicates.includes(content));
+    }
+
     this.pages.forEach((p) => {
-      let page = p.offset === offset ? this._resolvePage(p, records) : p;
+      let page = p;
+      if (p.offset === offset && p.isRevalidating) {
+        page = p.refresh(records, this.filter, { nextCursor, prevCursor }, this.sort);
+        page.duplicates = duplicates;
+      } else if (p.offset === offset) {
+        page = this._resolvePage(p, records, { nextCursor, prevCursor });
+        page.duplicates = duplicates;
+        page.resolvedAt = resolvedAt || page.resolvedAt;
+      }
       _pages.insert(p.offset, page);
     });
 
     _pages.updateKeys();
 
-    return new State(this, {
-      _pages,
-      stats: stats || this.stats
+    return new State(this, { _pages, stats, _endInferred });
+  }
+
+  // Forget an end which was inferred from a short page, so that the
+  // pages beyond it are requested again. Prior states keep their end.
+  reopen() {
+    if (!this._endInferred) { return this; }
+
+    let stats = Object.assign({}, this.stats, { totalPages: undefined });
+    return new State(this, { stats, _endInferred: false });
+  }
+
+  // Accounts for `count` records which were inserted on the server
+  // (or removed, if negative) outside of the resolved pages
+  resize(count) {
+    let { totalPages } = this.stats;
+    if (!count || totalPages === undefined) { return this; }
+
+    let node = this._pages.tree.getMaxKeyDescendant();
+    let loadedPages = node.key ? node.key.page + 1 : 0;
+    let unloaded = Math.max((totalPages - loadedPages) * this.pageSize + count, 0);
+
+    let stats = Object.assign({}, this.stats, {
+      totalPages: loadedPages + Math.ceil(unloaded / this.pageSize)
     });
+    return new State(this, { stats });
   }
 
-  reject(error, { offset }, stats) {
+  reject(error, { offset }, stats, retryAt) {
     let _pages = new PageTree();
 
+    // A page which fails to revalidate keeps its records
     this.pages.forEach((p) => {
-      let page = p.isPending && p.offset === offset ? p.reject(error) : p;
+      let page = p;
+      if (p.offset === offset && p.isPending) {
+        page = p.reject(error, retryAt);
+      } else if (p.offset === offset && p.isRevalidating) {
+        page = p.cancel();
+      }
       _pages.insert(p.offset, page);
     });
 
@@ -125,7 +353,7 @@ export default class State {
     let _pages = new PageTree();
 
     this.pages.forEach((p) => {
-      let page = _this._resolvePage(p);
+      let page = p.isResolved ? _this._resolvePage(p) : p;
       _pages.insert(p.offset, page);
     });
 
@@ -134,33 +362,282 @@ export default class State {
     return new State(_this, { _pages });
   }
 
+  // Sorts the records of every resolved page with `sort`, or across
+  // pages with `sortScope: 'dataset'` once every page is resolved
+  resort(sort, sortScope = this.sortScope) {
+    let _this = new State(this, { sort, sortScope });
+
+    let _pages = new PageTree();
+
+    this.pages.forEach((p) => {
+      let page = p.isResolved ? _this._resolvePage(p) : p;
+      _pages.insert(p.offset, page);
+    });
+
+    _pages.updateKeys();
+
+    return new State(_this, { _pages });
+  }
+
+  // Restores the resolved pages of a state which was serialized with
+  // `toJSON()`, e.g. on the server
+  restore({ readOffset, visibleStart, visibleEnd, pages = [], endInferred = false, indexBase = 0 }) {
+    let _pages = new PageTree();
+
+    pages.forEach(({ offset, records, nextCursor, prevCursor, resolvedAt }) => {
+      let page = this._resolvePage(new Page(offset, this.pageSize).request(), records, { nextCursor, prevCursor });
+      page.resolvedAt = resolvedAt || page.resolvedAt;
+      _pages.insert(offset, page);
+    });
+
+    _pages.updateKeys();
+
+    return new State(this, {
+      _pages,
+      readOffset,
+      visibleStart,
+      visibleEnd,
+      _endInferred: endInferred,
+      _indexBase: indexBase
+    });
+  }
+
+  // A plain object of the resolved pages, which can be serialized with
+  // `JSON.stringify()` and restored with `Dataset.hydrate()`
+  toJSON() {
+    return {
+      pageSize: this.pageSize,
+      loadHorizon: this.loadHorizon,
+      unloadHorizon: this.unloadHorizon,
+      loadAhead: this.loadAhead,
+      loadBehind: this.loadBehind,
+      unloadAhead: this.unloadAhead,
+      unloadBehind: this.unloadBehind,
+      directional: this.directional,
+      readOffset: this.readOffset,
+      visibleStart: this.visibleStart,
+      visibleEnd: this.visibleEnd,
+      pagination: this.pagination,
+      stats: Object.assign({}, this.stats),
+      inferEnd: this.inferEnd,
+      endInferred: this._endInferred,
+      anchor: this.anchor,
+      indexBase: this._indexBase,
+      pages: this.resolved.map((page) => {
+        let { offset, data, nextCursor, prevCursor, resolvedAt } = page;
+        return { offset, records: data, nextCursor, prevCursor, resolvedAt };
+      })
+    };
+  }
+
   // Mutator Methods
 
   // splice:
-  // Can only mutate records on page containing record at index `start`
-  // Returns new state with mutated records
-  splice(start, deleteCount, ...items) {
+  // Removes `deleteCount` records starting at index `start`, which may
+  // span several resolved pages, and inserts `items` into the page of
+  // the record at `start`. Pages grow or shrink accordingly rather
+  // than shifting records across page boundaries.
+  // Throws an `UnresolvedRecordError` if any of the records are not
+  // resolved. Returns new state with mutated records
+  splice(start, deleteCount = 0, ...items) {
+    let length = this.length;
+    start = Math.min(Math.max(Number(start) || 0, 0), length);
+    deleteCount = Math.min(Math.max(Number(deleteCount) || 0, 0), length - start);
+
+    // Appended items go to the end of the page of the last record
+    let isAppend = start === length;
+    let anchorIndex = isAppend ? start - 1 : start;
+
+    let removed = [];
+    for (let i = start; i < start + deleteCount; i++) {
+      removed.push(this._resolvedRecord(i));
+    }
+    let anchor = deleteCount ? removed[0] : this._resolvedRecord(anchorIndex);
+
     let _pages = new PageTree();
-    if (start >= this.length) { start = this.length - 1; }
-    if (start < 0) { start = 0; }
-    let record = this.getRecord(start);
-    try {
-      this.pages.forEach((p) => {
-        if (p === record.page) {
-          let page, data = p.data.slice();
-          data.splice(record.index, deleteCount, ...items);
-          page = this._resolvePage(p, data);
-          _pages.insert(p.offset, page);
-        } else {
-          _pages.insert(p.offset, p);
-        }
+
+    this.pages.forEach((p) => {
+      let indexes = removed.filter((r) => r.page === p).map((r) => r.index);
+      if (!indexes.length && p !== anchor.page) {
+        _pages.insert(p.offset, p);
+        return;
+      }
+
+      let data = p.data.filter((_, index) => !indexes.includes(index));
+      if (p === anchor.page) {
+        data.splice(anchor.index + (isAppend ? 1 : 0), 0, ...items);
+      }
+      _pages.insert(p.offset, this._resolvePage(p, data));
+    });
+
+    return new State(this, { _pages });
+  }
+
+  // Replaces `content` with `items`, wherever it is in the resolved
+  // pages. Returns this state if `content` is not found.
+  replace(content, ...items) {
+    return this._updatePageOf(content, (page) => {
+      let data = page.data.slice();
+      data.splice(data.indexOf(content), 1, ...items);
+      return this._resolvePage(page, data);
+    });
+  }
+
+  // Marks `content` as being saved to the server
+  setSaving(content, isSaving) {
+    return this._updatePageOf(content, (page) => {
+      let resolved = this._resolvePage(page);
+      resolved.saving = page.saving.filter((c) => c !== content);
+      if (isSaving) { resolved.saving.push(content); }
+      return resolved;
+    });
+  }
+
+  // The record whose content `identify`s as `id`, wherever it is in
+  // the resolved pages
+  getRecordById(id) {
+    if (!this._ids.has(id)) { return new Record(); }
+
+    let page = this._findPage(this._ids.get(id));
+    let record = page && page.records.find((r) => this.identify(r.content) === id);
+    return record || new Record();
+  }
+
+  // The index of the record with `id`, or -1 if it is not resolved
+  // or has been filtered out
+  indexOfId(id) {
+    let record = this.getRecordById(id);
+    if (!record.isResolved) { return -1; }
+
+    return this._indexOfRecord(record);
+  }
+
+  // The index of the record holding `content`, or -1 if it is not
+  // resolved or has been filtered out
+  indexOfContent(content) {
+    if (content === null || content === undefined) { return -1; }
+
+    let page = this.resolved.find((p) => p.data.includes(content));
+    let record = page && page.records.find((r) => r.content === content);
+    return record ? this._indexOfRecord(record) : -1;
+  }
+
+  // Sections of consecutive resolved records which `groupBy` the same
+  // key, as `{ key, start, count, isComplete }`. A section is complete
+  // once the records on either side of it are resolved, or it reaches
+  // the start or the known end of the dataset.
+  get sections() {
+    if (!this.groupBy) { return []; }
+
+    let sections = [];
+    if (this._sortsAcrossPages) {
+      sections = group(this._sortedRecords, this.groupBy);
+    } else {
+      this.resolved.forEach((page) => {
+        let offset = this._pages.searchPage(page.offset).key.record - this._indexBase;
+        page.groups(this.groupBy).forEach((run, index) => {
+          let last = sections[sections.length - 1];
+          let start = offset + run.start;
+          // Sections continue across page boundaries
+          if (index === 0 && last && last.key === run.key && last.start + last.count === start) {
+            last.count += run.count;
+          } else {
+            sections.push({ key: run.key, start, count: run.count });
+          }
+        });
       });
+    }
 
-    } catch(err) {
-      throw Error(`Impagination could not find resolved page for record at index ${record.index}`);
+    return sections.map(({ key, start, count }) => {
+      let end = start + count;
+      let isResolved = (index) => (this._findRecord(index + this._indexBase) || new Record()).isResolved;
+      let isComplete = (start === 0 || isResolved(start - 1)) && (end === this.length ? this.isComplete : isResolved(end));
+      return { key, start, count, isComplete };
+    });
+  }
+
+  // The section of the record at `index`, e.g. for a sticky header
+  sectionAt(index) {
+    let sections = this.sections;
+    let low = 0;
+    let high = sections.length - 1;
+
+    while (low <= high) {
+      let middle = Math.floor((low + high) / 2);
+      let section = sections[middle];
+      if (index < section.start) {
+        high = middle - 1;
+      } else if (index >= section.start + section.count) {
+        low = middle + 1;
+      } else {
+        return section;
+      }
     }
+    return null;
+  }
 
-    return new State(this, { _pages });
+  // Iterates over the records with a header item,
+  // `{ isHeader: true, section }`, in front of every section
+  sectioned() {
+    let sections = this.sections;
+    let next = 0;
+    let index = 0;
+
+    let iterator = {
+      next: () => {
+        let section = sections[next];
+        if (section && section.start === index) {
+          next++;
+          return { value: { isHeader: true, section }, done: false };
+        }
+        if (index >= this.length) {
+          return { value: undefined, done: true };
+        }
+        return { value: this.getRecord(index++), done: false };
+      }
+    };
+    iterator[Symbol.iterator] = () => iterator;
+
+    return iterator;
+  }
+
+  // Returns `{ cursor, direction }` for fetching the page at `offset`,
+  // taken from a resolved neighbour, or `null` if no cursor leads there
+  cursorFor(offset) {
+    if (this.pagination !== 'cursor') {
+      return { cursor: undefined, direction: undefined };
+    }
+
+    let prev = this._findPage(offset - 1);
+    let next = this._findPage(offset + 1);
+
+    if (prev && prev.isResolved && prev.nextCursor != null) {
+      return { cursor: prev.nextCursor, direction: 'next' };
+    }
+    if (next && next.isResolved && next.prevCursor != null) {
+      return { cursor: next.prevCursor, direction: 'prev' };
+    }
+    if (offset === 0) {
+      return { cursor: undefined, direction: undefined };
+    }
+
+    return null;
+  }
+
+  // Record level changes from `prev` to `next`, for renderers which
+  // want to update only what changed. See `state-diff.js`.
+  static diff(prev, next) {
+    return diff(prev, next);
+  }
+
+  changesSince(prev) {
+    return diff(prev, this);
+  }
+
+  // How far the indexes of the records have shifted since `prev`,
+  // because pages before the anchor have loaded or unloaded
+  shiftSince(prev) {
+    return prev._indexBase - this._indexBase;
   }
 
   // Accessor Methods
@@ -189,17 +666,20 @@ export default class State {
   reduceRight() { return Array.prototype.reduceRight.apply(this, arguments); }
   values() { return Array.prototype.values.apply(this, arguments); }
 
+  // Pages may hold more or fewer records than `pageSize`, so the
+  // length is measured from the record keys of the last loaded page.
+  // Pages beyond it which have not been loaded count as `pageSize`.
   get length() {
     let node = this._pages.tree.getMaxKeyDescendant();
-    let offset = node.key && node.key.page;
-    let virtualTotalPages = offset + 1 || 0;
+    let offset = node.key ? node.key.page : -1;
+    let end = node.key ? node.key.record + node.data[0].records.length - this._indexBase : 0;
 
-    let total = Math.max(virtualTotalPages, this.stats.totalPages || 0);
+    let unloadedPages = Math.max((this.stats.totalPages || 0) - (offset + 1), 0);
 
-    // Resolved record could be filtered
-    return this.resolved.reduce((length, page) => {
-      return length - (this.pageSize - page.records.length);
-    }, (total - this.rejected.length) * this.pageSize);
+    // Rejected pages do not have records
+    return this.rejected.reduce((length, page) => {
+      return length - page.records.length;
+    }, end + unloadedPages * this.pageSize);
   }
 
   // Private API
@@ -216,44 +696,175 @@ export default class State {
   }
 
   getRecord(index) {
-    return this._findRecord(index) || new Record();
+    if (this._sortsAcrossPages) {
+      return this._sortedRecords[index] || new Record();
+    }
+    return this._findRecord(index + this._indexBase) || new Record();
   }
 
-  _resolvePage(page, records) {
+  // Records are sorted across pages once all of them are resolved
+  get _sortsAcrossPages() {
+    return !!this.sort && this.sortScope === 'dataset' &&
+      this.isComplete && this.resolved.length === this.stats.totalPages;
+  }
+
+  get _sortedRecords() {
+    let records = [].concat(...this.resolved.map((p) => p.records));
+    return records.sort((a, b) => this.sort(a.content, b.content));
+  }
+
+  _indexOfRecord(record) {
+    if (this._sortsAcrossPages) {
+      return this._sortedRecords.indexOf(record);
+    }
+
+    let { key } = this._pages.searchPage(record.page.offset);
+    return key.record + record.page.records.indexOf(record) - this._indexBase;
+  }
+
+  _resolvePage(page, records, cursors) {
     records = records || page.data;
     if(records) {
-      return page.resolve(records, this.filter);
+      return page.resolve(records, this.filter, cursors, this.sort);
     } else {
       return page;
     }
   }
 
-  _virtualReadOffset() {
-    let record = this.getRecord(this.readOffset);
-    let readOffset = this.readOffset;
+  _resolvedRecord(index) {
+    let record = this.getRecord(index);
+    if (!record.isResolved) {
+      throw new UnresolvedRecordError(index);
+    }
+    return record;
+  }
+
+  _updatePageOf(content, update) {
+    let page = this.resolved.find((p) => p.data.includes(content));
+    if (!page) { return this; }
+
+    let _pages = new PageTree();
+
+    this.pages.forEach((p) => {
+      _pages.insert(p.offset, p === page ? update(p) : p);
+    });
+
+    return new State(this, { _pages });
+  }
+
+  // The `records` fetched for the page at `offset` which are already
+  // on another resolved page. These are dropped, keeping the record
+  // which was loaded first.
+  _duplicatesOf(records, offset) {
+    if (!this.identify) { return []; }
+
+    return records.filter((content) => {
+      let pageOffset = this._ids.get(this.identify(content));
+      return pageOffset !== undefined && pageOffset !== offset;
+    });
+  }
+
+  // Keeps the id -> page offset index up to date with the resolved
+  // pages, only visiting the pages which changed since `previous`
+  _indexIds(previous) {
+    if (!this.identify) { return; }
+
+    let before = previous instanceof State ? previous.resolved : [];
+    let after = this.resolved;
+    let removed = before.filter((p) => !after.includes(p));
+    let added = after.filter((p) => !before.includes(p));
+    if (!removed.length && !added.length) { return; }
+
+    let ids = new Map(this._ids);
+    removed.forEach((page) => {
+      page.data.forEach((content) => {
+        let id = this.identify(content);
+        if (ids.get(id) === page.offset) { ids.delete(id); }
+      });
+    });
+    added.forEach((page) => {
+      page.data.forEach((content) => ids.set(this.identify(content), page.offset));
+    });
+
+    this._ids = ids;
+  }
+
+  // The horizons are measured in pages, so records are looked up in
+  // page order, regardless of how they are sorted
+  _virtualOffset(index) {
+    if (index === undefined) { return undefined; }
 
-    if(record.isResolved) {
-      readOffset = (record.page.offset * this.pageSize + record.index);
+    let record = this._findRecord(index + this._indexBase) || new Record();
+    let offset = index + this._indexBase;
+
+    // Records beyond `pageSize` still belong to their page
+    if(record.page.offset !== null) {
+      offset = (record.page.offset * this.pageSize + Math.min(record.index, this.pageSize - 1));
     }
 
-    return readOffset;
+    return offset;
+  }
+
+  // The virtual offsets of the first and the last visible record. A
+  // state which was only given a `readOffset` shows just that record.
+  _visibleRange() {
+    let start = this.visibleStart === undefined ? this.readOffset : this.visibleStart;
+    let end = this.visibleEnd === undefined ? start + 1 : this.visibleEnd;
+
+    return {
+      first: this._virtualOffset(start),
+      last: this._virtualOffset(start === undefined ? undefined : Math.max(end - 1, start))
+    };
   }
 
   _updateHorizons() {
     this._unloadHorizons();
     this._requestHorizons();
-    this._addIndeces();
+  }
+
+  // Anchored datasets index their records from the first requested
+  // record, so pages requested before it shift every index by
+  // `indexShift`. The `readOffset` and the visible range shift along
+  // with them, and stay on the same records. Until a page is
+  // requested, the indexes stay where they were. An `indexShift` given
+  // with `attrs` is measured from an earlier state than `previous`.
+  _shiftIndexes(attrs) {
+    let first = this.anchor && this.requested[0];
+    let base = this.anchor ? this._indexBase : 0;
+    if (first) {
+      base = this._pages.searchPage(first.offset).key.record;
+    }
+
+    let shift = this._indexBase - base;
+    this._indexBase = base;
+    ['readOffset', 'visibleStart', 'visibleEnd'].forEach((key) => {
+      if (this[key] !== undefined) {
+        this[key] += shift;
+      }
+    });
+    this.indexShift = attrs.indexShift === undefined ? shift : attrs.indexShift;
+  }
+
+  // The offset of the first page, which is 0 unless the dataset is
+  // anchored. Anchored datasets find it once a page before the anchor
+  // resolves with fewer than `pageSize` records.
+  _firstPageOffset() {
+    if (!this.anchor) { return 0; }
+
+    let { firstPage } = this.stats;
+    return firstPage === undefined ? -Infinity : firstPage;
   }
 
   _addIndeces() {
     let node = this._pages.tree.getMinKeyDescendant();
-    let offset = node.key && node.key.page || 0;
-    let index = offset * this.pageSize;
+    let index = node.key ? node.key.record - this._indexBase : 0;
 
-    // Add index keys so we can say access values by array[index]
+    // Add index keys so we can say access values by array[index].
+    // Unrequested pages before the first requested one have none.
     this.pages.forEach((p) => {
       for(let i = 0; i < p.records.length; i++) {
         let offset = index++;
+        if (offset < 0) { continue; }
         Object.defineProperty(this, offset, {
           enumerable: true,
           get: function () {
@@ -267,6 +878,8 @@ export default class State {
   _unloadHorizons() {
     let maxNode = this._pages.tree.getMaxKeyDescendant();
     let maxPageOffset = maxNode.key && maxNode.key.page || 0;
+    let minNode = this._pages.tree.getMinKeyDescendant();
+    let minPageOffset = minNode.key && minNode.key.page || 0;
 
     let { minLoadHorizon, maxLoadHorizon } = this._getLoadHorizons();
     let { minUnloadHorizon, maxUnloadHorizon } = this._getUnloadHorizons();
@@ -292,7 +905,7 @@ export default class State {
     }
 
     // Unload Unrequested Pages outside the lower `loadHorizons`
-    for (let i = minLoadHorizon - 1; i >= minUnloadHorizon; i -= 1) {
+    for (let i = minLoadHorizon - 1; i >= Math.max(minUnloadHorizon, minPageOffset); i -= 1) {
       let page = this._findPage(i);
       if (page && !page.isSettled) {
         this._pages.delete(i);
@@ -300,7 +913,7 @@ export default class State {
     }
 
     // Unload Pages outside the lower `unloadHorizons`
-    for (let i = minUnloadHorizon - 1; i >= 0; i -= 1) {
+    for (let i = minUnloadHorizon - 1; i >= minPageOffset; i -= 1) {
       let page = this._findPage(i);
       if (page) {
         this._pages.delete(i);
@@ -324,26 +937,60 @@ export default class State {
     }
   }
 
+  // The `pages` within the load horizon
+  _loadable(pages) {
+    if (this.readOffset === undefined) { return []; }
+
+    let { minLoadHorizon, maxLoadHorizon } = this._getLoadHorizons();
+    return pages.filter((p) => p.offset >= minLoadHorizon && p.offset < maxLoadHorizon);
+  }
+
+  // The horizons ahead of and behind the visible range, which default
+  // to `loadHorizon` and `unloadHorizon`. Directional horizons widen
+  // ahead of the reader by the records it covers in a second, up to
+  // twice their size.
+  _horizons() {
+    let or = (value, fallback) => value === null || value === undefined ? fallback : value;
+
+    let horizons = {
+      loadAhead: or(this.loadAhead, this.loadHorizon),
+      loadBehind: or(this.loadBehind, this.loadHorizon),
+      unloadAhead: or(this.unloadAhead, this.unloadHorizon),
+      unloadBehind: or(this.unloadBehind, this.unloadHorizon)
+    };
+
+    if (this.directional && this.direction) {
+      let [load, unload] = this.direction > 0 ? ['loadAhead', 'unloadAhead'] : ['loadBehind', 'unloadBehind'];
+      let widening = Math.min(this.velocity, horizons[load]);
+      horizons[load] += widening;
+      horizons[unload] += widening;
+    }
+
+    return horizons;
+  }
+
   _getLoadHorizons() {
-    let readOffset = this._virtualReadOffset();
+    let { first, last } = this._visibleRange();
+    let { loadAhead, loadBehind } = this._horizons();
 
-    let min = readOffset - this.loadHorizon;
-    let max = readOffset  + this.loadHorizon;
+    let min = first - loadBehind;
+    let max = last  + loadAhead;
 
     let minLoadPage = Math.floor(min / this.pageSize);
     let maxLoadPage = Math.ceil(max / this.pageSize);
 
-    let minLoadHorizon = Math.max(minLoadPage, 0);
+    let minLoadHorizon = Math.max(minLoadPage, this._firstPageOffset());
     let maxLoadHorizon = Math.min(this.stats.totalPages || Infinity, maxLoadPage);
 
     return { minLoadHorizon, maxLoadHorizon };
   }
 
   _getUnloadHorizons() {
-    let readOffset = this._virtualReadOffset();
+    let { first, last } = this._visibleRange();
+    let { unloadAhead, unloadBehind } = this._horizons();
 
-    let min = readOffset - this.unloadHorizon;
-    let max = readOffset  + this.unloadHorizon;
+    let min = first - unloadBehind;
+    let max = last  + unloadAhead;
 
     let minUnloadPage = Math.floor(min / this.pageSize);
     let maxUnloadPage = Math.ceil(max / this.pageSize);
@@ -351,7 +998,7 @@ export default class State {
     let maxNode = this._pages.tree.getMaxKeyDescendant();
     let maxPageOffset = maxNode.key && maxNode.key.page || 0;
 
-    let minUnloadHorizon = Math.max(minUnloadPage, 0);
+    let minUnloadHorizon = Math.max(minUnloadPage, this._firstPageOffset());
     let maxUnloadHorizon = Math.min(this.stats.totalPages || Infinity, maxUnloadPage, maxPageOffset + 1);
 
     return { minUnloadHorizon, maxUnloadHorizon };
@@ -0,0 +1,10 @@
+// The Babel runtime replaces the global `Symbol` with a polyfill which
+// lacks the newer well-known symbols, so we look them up on the global
+// object instead and fall back to the conventional string keys.
+const root = typeof self !== 'undefined' ? self :
+  typeof window !== 'undefined' ? window :
+  typeof global !== 'undefined' ? global : {};
+
+const { asyncIterator = '@@asyncIterator', observable = '@@observable' } = root.Symbol || {};
+
+export { asyncIterator, observable };
@@ -1,8 +1,11 @@
 import Dataset from '../src/dataset';
 
-import { describe, it, beforeEach } from 'mocha';
+import { describe, it, beforeEach, afterEach } from 'mocha';
 import { expect } from 'chai';
 import { Server, PageRequest } from './test-server';
+import { asyncIterator, observable } from '../src/symbols';
+import { MemoryCache } from '../src/page-cache';
+import { UnresolvedRecordError, IndexOutOfRangeError, RecordNotFoundError, RollbackError, ListenerError } from '../src/errors';
 
 describe("Dataset", function() {
   describe("initializing a new dataset", function() {
@@ -186,6 +189,22 @@ describe("Dataset", function() {
       });
     });
 
+    describe("with a loadAhead and no loadBehind", function() {
+      beforeEach(function() {
+        dataset = new Dataset({
+          pageSize: 10,
+          loadAhead: 20,
+          loadBehind: 0,
+          fetch, unfetch, observe
+        });
+        dataset.setReadOffset(30);
+      });
+
+      it("only requests the pages ahead of the read offset", function() {
+        expect(dataset.state.requested.map((p) => p.offset)).to.deep.equal([3, 4]);
+      });
+    });
+
     describe("with less than two pages loadHorizon", function() {
       beforeEach(function() {
         dataset = new Dataset({
@@ -281,6 +300,21 @@ describe("Dataset", function() {
           expect(dataset.state.length).to.equal(15);
         });
 
+        it("keeps filtering after a reset", function() {
+          dataset.reset(0);
+          return server.resolveAll().then(() => {
+            expect(dataset.state.length).to.equal(15);
+          });
+        });
+
+        it("keeps filtering after changing the query", function() {
+          dataset.setQuery({ search: 'cats' });
+          return server.resolveAll().then(() => {
+            expect(dataset.state.length).to.equal(15);
+            expect(dataset.state.getRecord(1).content.name).to.equal('Record 2');
+          });
+        });
+
         describe("POST: creating new record", function() {
           beforeEach(function() {
             return dataset.post({ name: 'Record 1000' });
@@ -410,88 +444,1791 @@ describe("Dataset", function() {
       });
     });
 
-    describe("Statistics ", function() {
-      describe("when fetch() returns totalPages", function() {
-        beforeEach(function() {
-          fetch = (pageOffset, pageSize, stats) => {
-            stats.totalPages = 10;
-            return server.request(pageOffset, pageSize, stats);
-          };
+    describe("Retrying rejected pages", function() {
+      let rejectFirstPage = function(done) {
+        let finish = ()=> done();
+        return server.reject(0).then(finish).catch(finish);
+      };
+
+      describe("without a retry policy", function() {
+        beforeEach(function(done) {
+          dataset.setReadOffset(0);
+          rejectFirstPage(done);
+        });
+
+        it("does not schedule a retry", function() {
+          let page = dataset.state.rejected[0];
+          expect(page.attempts).to.equal(1);
+          expect(page.retryAt).to.equal(null);
+        });
+
+        describe("retrying the page", function() {
+          beforeEach(function() {
+            dataset.retry(0);
+          });
+
+          it("requests the page again", function() {
+            expect(dataset.state.rejected.length).to.equal(0);
+            expect(dataset.state.pending.length).to.equal(1);
+            expect(dataset.state.pending[0].attempts).to.equal(2);
+          });
+        });
+
+        describe("retrying all pages", function() {
+          beforeEach(function() {
+            dataset.retryAll();
+          });
+
+          it("requests every rejected page again", function() {
+            expect(dataset.state.rejected.length).to.equal(0);
+            expect(dataset.state.pending.length).to.equal(1);
+          });
+        });
+
+        describe("retrying a page which is not rejected", function() {
+          beforeEach(function() {
+            dataset.retry(1);
+          });
+
+          it("does nothing", function() {
+            expect(dataset.state.rejected.length).to.equal(1);
+            expect(dataset.state.pending.length).to.equal(0);
+          });
+        });
+      });
+
+      describe("with a retry policy", function() {
+        let retryable, rejectedAfter;
+
+        beforeEach(function(done) {
+          retryable = () => true;
           dataset = new Dataset({
             pageSize: 10,
-            fetch, unfetch, observe
+            fetch, unfetch, observe,
+            retry: { maxAttempts: 2, delay: 5, jitter: 0, retryable: (error) => retryable(error) }
           });
-          return dataset.setReadOffset(0);
+          dataset.setReadOffset(0);
+          rejectedAfter = Date.now();
+          rejectFirstPage(done);
         });
 
-        it("makes one request", function() {
-          expect(server.requests.length).to.equal(1);
-          expect(dataset.state.requested.length).to.equal(1);
+        it("exposes when the page will be retried", function() {
+          let page = dataset.state.rejected[0];
+          expect(page.attempts).to.equal(1);
+          // The retry is scheduled `delay` after the rejection, which
+          // happened some time between `rejectedAfter` and now
+          expect(page.retryAt).to.be.within(rejectedAfter + 5, Date.now() + 5);
         });
 
-        it("sets total pages", function() {
-          expect(dataset.state.stats.totalPages).to.equal(10);
-          expect(dataset.state.length).to.equal(100);
+        describe("waiting for the backoff", function() {
+          beforeEach(function(done) {
+            setTimeout(done, 20);
+          });
+
+          it("requests the page again", function() {
+            expect(dataset.state.pending.length).to.equal(1);
+            expect(dataset.state.pending[0].attempts).to.equal(2);
+          });
+
+          describe("rejecting the page again", function() {
+            beforeEach(rejectFirstPage);
+
+            it("gives up after the maximum number of attempts", function() {
+              let page = dataset.state.rejected[0];
+              expect(page.attempts).to.equal(2);
+              expect(page.retryAt).to.equal(null);
+            });
+          });
         });
 
-        describe("resolving the request with totalPages stats", function() {
+        describe("resetting before the backoff", function() {
+          beforeEach(function(done) {
+            dataset.reset(0);
+            server.requests[0].resolve();
+            setTimeout(done, 20);
+          });
+
+          it("cancels the scheduled retry", function() {
+            expect(dataset.state.resolved.length).to.equal(1);
+            expect(dataset.state.pending.length).to.equal(0);
+          });
+        });
+      });
+
+      describe("with an error that is not retryable", function() {
+        beforeEach(function(done) {
+          dataset = new Dataset({
+            pageSize: 10,
+            fetch, unfetch, observe,
+            retry: { delay: 5, retryable: (error) => error !== '404' }
+          });
+          dataset.setReadOffset(0);
+          rejectFirstPage(done);
+        });
+
+        it("does not schedule a retry", function() {
+          expect(dataset.state.rejected[0].retryAt).to.equal(null);
+        });
+      });
+    });
+
+    describe("Cancelling requests", function() {
+      let signals;
+
+      beforeEach(function() {
+        signals = {};
+        dataset = new Dataset({
+          pageSize: 10,
+          fetch: (pageOffset, pageSize, stats, query, { signal }) => {
+            signals[pageOffset] = signal;
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+      });
+
+      it("passes a signal to fetch", function() {
+        expect(signals[0].aborted).to.equal(false);
+      });
+
+      describe("moving the pending page outside the load horizon", function() {
+        let stale;
+        beforeEach(function() {
+          stale = server.requests[0];
+          dataset.setReadOffset(100);
+        });
+
+        it("aborts the request", function() {
+          expect(signals[0].aborted).to.equal(true);
+          expect(signals[10].aborted).to.equal(false);
+        });
+
+        describe("moving back and resolving the aborted request", function() {
           beforeEach(function() {
-            return server.resolveAll();
+            dataset.setReadOffset(0);
+            return stale.resolve();
           });
 
-          it("sets total pages", function() {
-            expect(dataset.state.stats.totalPages).to.equal(10);
-            expect(dataset.state.length).to.equal(100);
-            expect(dataset.state.requested.length).to.equal(1);
+          it("ignores the late response", function() {
+            expect(dataset.state.getPage(0).isPending).to.equal(true);
+            expect(dataset.state.resolved.length).to.equal(0);
           });
+        });
+      });
 
-          describe("Setting readOffset out of bounds", function() {
+      describe("resetting the dataset", function() {
+        beforeEach(function() {
+          dataset.reset();
+        });
 
-            describe("where the minimum loadHorizon is less than the dataset length", function() {
-              beforeEach(function() {
-                let minLoadHorizon = dataset.state.length - 1;
-                dataset.setReadOffset(minLoadHorizon + dataset.state.loadHorizon);
-              });
-              it("makes one additional request", function() {
-                expect(dataset.state.requested.length).to.equal(2);
-              });
-              it("requests the last page", function() {
-                expect(dataset.state.getRecord(90).isRequested).to.equal(true);
-              });
-              it("does not have a record at the readOffset", function() {
-                let record = dataset.state.getRecord(100);
-                expect(record).to.have.property('content', null);
-                expect(record.isRequested).to.equal(false);
-              });
-            });
-            describe("where the minimum loadHorizon is greater than or equal to the dataset length", function() {
-              beforeEach(function() {
-                let minLoadHorizon = dataset.state.length;
-                dataset.setReadOffset(minLoadHorizon + dataset.state.loadHorizon);
-              });
+        it("aborts the request", function() {
+          expect(signals[0].aborted).to.equal(true);
+        });
+      });
+    });
 
-              it("does not make any additional request", function() {
-                expect(dataset.state.requested.length).to.equal(1);
-                expect(dataset.state.length).to.equal(100);
-              });
-              it("sets the readOffset at the out of bounds index", function() {
-                expect(dataset.state.readOffset).to.equal(110);
-              });
+    describe("Discarding stale responses", function() {
+      let stale, staleResponses;
+
+      beforeEach(function() {
+        staleResponses = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          fetch, unfetch, observe,
+          onStaleResponse: (response) => staleResponses.push(response)
+        });
+        dataset.setReadOffset(0);
+        stale = server.requests[0];
+        dataset.reset(0);
+      });
+
+      it("starts a new generation of state", function() {
+        expect(dataset.state.generation).to.equal(1);
+        expect(dataset.state.pending.length).to.equal(1);
+      });
+
+      describe("resolving a request from the previous generation", function() {
+        beforeEach(function() {
+          return stale.resolve();
+        });
+
+        it("does not apply the records", function() {
+          expect(dataset.state.resolved.length).to.equal(0);
+          expect(dataset.state.getPage(0).isPending).to.equal(true);
+        });
+
+        it("reports the stale response", function() {
+          expect(staleResponses.length).to.equal(1);
+          expect(staleResponses[0].pageOffset).to.equal(0);
+          expect(staleResponses[0].generation).to.equal(0);
+          expect(staleResponses[0].currentGeneration).to.equal(1);
+          expect(staleResponses[0].records.length).to.equal(10);
+        });
+      });
+
+      describe("rejecting a request from the previous generation", function() {
+        beforeEach(function(done) {
+          stale.reject();
+          setTimeout(done);
+        });
+
+        it("does not reject the page", function() {
+          expect(dataset.state.rejected.length).to.equal(0);
+          expect(staleResponses[0].error).to.equal('404');
+        });
+      });
+    });
+
+    describe("Limiting concurrent fetches", function() {
+      beforeEach(function() {
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 50,
+          maxConcurrentFetches: 2,
+          fetch, unfetch, observe
+        });
+        dataset.setReadOffset(0);
+      });
+
+      it("only requests the maximum number of pages", function() {
+        expect(requests.length).to.equal(2);
+        expect(dataset.state.pending.map((p) => p.offset)).to.deep.equal([0, 1]);
+      });
+
+      it("queues the remaining pages", function() {
+        expect(dataset.state.queued.map((p) => p.offset)).to.deep.equal([2, 3, 4]);
+        expect(dataset.state.unrequested.length).to.equal(0);
+        expect(dataset.state.length).to.equal(50);
+      });
+
+      describe("resolving a page", function() {
+        beforeEach(function() {
+          return server.resolve(0);
+        });
+
+        it("requests the next queued page", function() {
+          expect(requests.length).to.equal(3);
+          expect(dataset.state.pending.map((p) => p.offset)).to.deep.equal([1, 2]);
+          expect(dataset.state.queued.map((p) => p.offset)).to.deep.equal([3, 4]);
+        });
+      });
+
+      describe("advancing the read offset", function() {
+        beforeEach(function() {
+          dataset.setReadOffset(40);
+        });
+
+        it("prioritizes the pages nearest to the read offset", function() {
+          expect(dataset.state.queued.map((p) => p.offset)).to.deep.equal([4, 3, 5, 2, 6, 7, 8]);
+        });
+      });
+
+      describe("moving the queued pages outside the load horizon", function() {
+        beforeEach(function() {
+          dataset.setReadOffset(200);
+        });
+
+        it("drops them from the queue", function() {
+          let offsets = dataset.state.queued.map((p) => p.offset);
+          expect(offsets.filter((offset) => offset < 15)).to.deep.equal([]);
+        });
+
+        it("requests the pages nearest to the read offset", function() {
+          expect(dataset.state.pending.map((p) => p.offset)).to.deep.equal([19, 20]);
+        });
+      });
+    });
+
+    describe("Cursor pagination", function() {
+      let options;
+
+      beforeEach(function() {
+        options = {};
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 30,
+          pagination: 'cursor',
+          fetch: (pageOffset, pageSize, stats, query, { cursor, direction }) => {
+            options[pageOffset] = { cursor, direction };
+            return server.request(pageOffset, pageSize, stats).then((records) => {
+              let nextCursor = pageOffset < 1 ? `after-${pageOffset}` : null;
+              return { records, nextCursor };
             });
-          });
+          },
+          unfetch, observe
         });
+        dataset.setReadOffset(0);
+      });
 
-        describe("rejecting the request with totalPages stats", function() {
-          beforeEach(function(done) {
-            let page = dataset.state.requested[0];
-            let finish = ()=> done();
-            return server.reject(page.offset).then(finish).catch(finish);
+      it("only requests the first page", function() {
+        expect(requests.length).to.equal(1);
+        expect(options[0]).to.deep.equal({ cursor: undefined, direction: undefined });
+        expect(dataset.state.unrequested.length).to.equal(2);
+        expect(dataset.state.reachable.length).to.equal(0);
+      });
+
+      describe("resolving the first page", function() {
+        beforeEach(function() {
+          return server.resolve(0);
+        });
+
+        it("requests the next page with its cursor", function() {
+          expect(requests.length).to.equal(2);
+          expect(options[1]).to.deep.equal({ cursor: 'after-0', direction: 'next' });
+          expect(dataset.state.getPage(0).nextCursor).to.equal('after-0');
+        });
+
+        describe("resolving a page without a next cursor", function() {
+          beforeEach(function() {
+            return server.resolve(1);
           });
 
-          it("sets the total pages minus the length of the rjected page", function() {
-            expect(dataset.state.stats.totalPages).to.equal(10);
-            expect(dataset.state.length).to.equal(90);
+          it("ends the dataset at that page", function() {
+            expect(requests.length).to.equal(2);
+            expect(dataset.state.resolved.length).to.equal(2);
+            expect(dataset.state.unrequested.length).to.equal(0);
+            expect(dataset.state.isComplete).to.equal(true);
+            expect(dataset.state.stats.totalPages).to.equal(2);
+            expect(dataset.state.length).to.equal(20);
+          });
+        });
+      });
+
+      describe("with an anchor", function() {
+        beforeEach(function() {
+          dataset = new Dataset({
+            pageSize: 10,
+            loadHorizon: 30,
+            pagination: 'cursor',
+            anchor: { id: 'Record 0' },
+            fetch: (pageOffset, pageSize, stats) => {
+              return server.request(pageOffset, pageSize, stats).then((records) => {
+                let prevCursor = pageOffset === 0 ? 'before-0' : null;
+                return { records, nextCursor: `after-${pageOffset}`, prevCursor };
+              });
+            },
+            unfetch, observe
           });
+          dataset.setReadOffset(0);
+          return server.resolve(0).then(() => server.resolve(-1));
+        });
+
+        it("starts the dataset at a page without a previous cursor", function() {
+          expect(dataset.state.stats.firstPage).to.equal(-1);
+          expect(dataset.state.pages[0].offset).to.equal(-1);
+        });
+      });
+    });
+
+    describe("Detecting the end of the dataset", function() {
+      beforeEach(function() {
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 30,
+          fetch: (pageOffset, pageSize, stats) => {
+            return server.request(pageOffset, pageSize, stats).then((records) => {
+              return pageOffset === 1 ? records.slice(0, 5) : records;
+            });
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+      });
+
+      it("does not know the end", function() {
+        expect(dataset.state.isComplete).to.equal(false);
+        expect(dataset.state.knownLength).to.equal(0);
+        expect(dataset.state.length).to.equal(30);
+      });
+
+      describe("resolving a short page", function() {
+        beforeEach(function() {
+          return server.resolveAll();
+        });
+
+        it("completes the dataset after the short page", function() {
+          expect(dataset.state.isComplete).to.equal(true);
+          expect(dataset.state.stats.totalPages).to.equal(2);
+          expect(dataset.state.knownLength).to.equal(15);
+          expect(dataset.state.length).to.equal(15);
+        });
+
+        describe("advancing the read offset to the end", function() {
+          beforeEach(function() {
+            dataset.setReadOffset(14);
+          });
+
+          it("does not request pages beyond the end", function() {
+            expect(requests.length).to.equal(3);
+            expect(dataset.state.pending.length).to.equal(0);
+          });
+        });
+
+        describe("posting a record", function() {
+          let previous;
+          beforeEach(function() {
+            previous = dataset.state;
+            dataset.post({ name: 'Record 1000' }, 15);
+          });
+
+          it("reopens the end of the dataset", function() {
+            expect(dataset.state.isComplete).to.equal(false);
+            expect(dataset.state.knownLength).to.equal(16);
+            expect(dataset.state.getPage(2).isPending).to.equal(true);
+          });
+
+          it("keeps the end of the previous state", function() {
+            expect(previous.isComplete).to.equal(true);
+            expect(previous.stats.totalPages).to.equal(2);
+          });
+
+          it("resolves the pages beyond it with the reopened stats", function() {
+            return server.resolve(2).then(() => {
+              expect(dataset.state.isComplete).to.equal(false);
+              expect(dataset.state.knownLength).to.equal(26);
+            });
+          });
+        });
+
+        describe("resetting the dataset", function() {
+          beforeEach(function() {
+            dataset.reset(0);
+          });
+
+          it("reopens the end of the dataset", function() {
+            expect(dataset.state.isComplete).to.equal(false);
+            expect(dataset.state.pending.length).to.equal(3);
+          });
+        });
+      });
+
+      describe("posting a record while an earlier page is pending", function() {
+        beforeEach(function() {
+          return server.resolve(1).then(() => {
+            dataset.post({ name: 'Record 1000' }, 15);
+            return server.resolve(0);
+          });
+        });
+
+        it("keeps the end reopened", function() {
+          expect(dataset.state.isComplete).to.equal(false);
+          expect(dataset.state.getPage(2).isPending).to.equal(true);
+        });
+      });
+
+      describe("from a server which caps the page size", function() {
+        beforeEach(function() {
+          dataset = new Dataset({
+            pageSize: 50,
+            loadHorizon: 100,
+            inferEnd: false,
+            fetch: (pageOffset, pageSize, stats) => {
+              return server.request(pageOffset, pageSize, stats).then((records) => records.slice(0, 25));
+            },
+            unfetch, observe
+          });
+          dataset.setReadOffset(0);
+          return server.resolve(0);
+        });
+
+        it("does not end the dataset at a short page", function() {
+          expect(dataset.state.isComplete).to.equal(false);
+          expect(dataset.state.stats.totalPages).to.equal(undefined);
+          expect(dataset.state.length).to.equal(75);
+        });
+      });
+    });
+
+    describe("Subscribing to events", function() {
+      let events;
+
+      let record = (name) => {
+        return (...args) => events.push([name].concat(args));
+      };
+
+      beforeEach(function() {
+        events = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          unloadHorizon: 10,
+          fetch, unfetch, observe
+        });
+        dataset.on('state', record('state'));
+        dataset.on('page:requested', record('page:requested'));
+        dataset.on('page:resolved', record('page:resolved'));
+        dataset.on('page:rejected', record('page:rejected'));
+        dataset.on('page:unloaded', record('page:unloaded'));
+        dataset.on('record:mutated', record('record:mutated'));
+        dataset.setReadOffset(0);
+      });
+
+      it("keeps calling observe", function() {
+        expect(dataset.state.pending.length).to.equal(1);
+      });
+
+      it("emits the requested page and the new state", function() {
+        expect(events.map(([name]) => name)).to.deep.equal(['page:requested', 'state']);
+
+        let [, page, state] = events[0];
+        expect(page.isPending).to.equal(true);
+        expect(page.offset).to.equal(0);
+        expect(state).to.equal(dataset.state);
+        expect(events[1][1]).to.equal(dataset.state);
+      });
+
+      describe("resolving the page", function() {
+        beforeEach(function() {
+          events = [];
+          return server.resolve(0);
+        });
+
+        it("emits the resolved page", function() {
+          expect(events.map(([name]) => name)).to.deep.equal(['page:resolved', 'state']);
+          expect(events[0][1].isResolved).to.equal(true);
+        });
+
+        describe("mutating a record", function() {
+          beforeEach(function() {
+            events = [];
+            dataset.put({ name: 'Record 999' }, 1);
+          });
+
+          it("emits the mutated page", function() {
+            expect(events.map(([name]) => name)).to.deep.equal(['record:mutated', 'state']);
+            expect(events[0][1].records[1].content.name).to.equal('Record 999');
+          });
+        });
+
+        describe("unloading the page", function() {
+          beforeEach(function() {
+            events = [];
+            dataset.setReadOffset(100);
+          });
+
+          it("emits the unloaded page", function() {
+            let unloaded = events.filter(([name]) => name === 'page:unloaded');
+            expect(unloaded.length).to.equal(1);
+            expect(unloaded[0][1].offset).to.equal(0);
+          });
+        });
+      });
+
+      describe("throwing from a listener", function() {
+        let errors;
+
+        beforeEach(function(done) {
+          events = [];
+          errors = [];
+          dataset.on('error', (error) => errors.push(error));
+          dataset.once('page:resolved', () => { throw new Error('listener failed'); });
+          server.resolve(0);
+          setTimeout(done);
+        });
+
+        it("resolves the page before reporting the error", function() {
+          expect(dataset.state.getPage(0).isResolved).to.equal(true);
+          expect(events.map(([name]) => name)).to.deep.equal(['page:resolved', 'state']);
+          expect(errors.length).to.equal(1);
+          expect(errors[0]).to.be.an.instanceof(ListenerError);
+          expect(errors[0].error.message).to.equal('listener failed');
+        });
+
+        it("keeps fetching pages", function() {
+          dataset.setReadOffset(10);
+          expect(dataset.state.getPage(1).isPending).to.equal(true);
+          return server.resolve(1).then(() => {
+            expect(dataset.state.getPage(1).isResolved).to.equal(true);
+          });
+        });
+      });
+
+      describe("throwing from observe", function() {
+        let errors;
+
+        beforeEach(function(done) {
+          events = [];
+          errors = [];
+          let thrown = false;
+          dataset = new Dataset({
+            pageSize: 10,
+            fetch, unfetch,
+            observe: (state) => {
+              if (!thrown && state.getPage(0).isResolved) {
+                thrown = true;
+                throw new Error('observe failed');
+              }
+            }
+          });
+          dataset.on('state', record('state'));
+          dataset.on('error', (error) => errors.push(error));
+          dataset.setReadOffset(0);
+          server.resolve(0);
+          setTimeout(done);
+        });
+
+        it("still notifies the state listeners", function() {
+          expect(events.map(([name]) => name)).to.deep.equal(['state', 'state']);
+          expect(events[1][1].getPage(0).isResolved).to.equal(true);
+          expect(errors[0].error.message).to.equal('observe failed');
+        });
+      });
+
+      describe("rejecting the page", function() {
+        beforeEach(function(done) {
+          events = [];
+          server.requests[0].reject();
+          setTimeout(done);
+        });
+
+        it("emits the rejected page", function() {
+          expect(events.map(([name]) => name)).to.deep.equal(['page:rejected', 'state']);
+          expect(events[0][1].isRejected).to.equal(true);
+        });
+      });
+
+      describe("unsubscribing", function() {
+        let handler, calls;
+        beforeEach(function() {
+          calls = 0;
+          handler = () => calls++;
+          dataset.on('state', handler);
+          dataset.once('state', handler);
+          dataset.off('state', handler);
+          dataset.setReadOffset(10);
+        });
+
+        it("removes the handler", function() {
+          expect(calls).to.equal(0);
+        });
+      });
+
+      describe("subscribing once", function() {
+        let calls;
+        beforeEach(function() {
+          calls = 0;
+          dataset.once('state', () => calls++);
+          dataset.setReadOffset(10);
+          dataset.setReadOffset(20);
+        });
+
+        it("only calls the handler for the first event", function() {
+          expect(calls).to.equal(1);
+        });
+      });
+    });
+
+    describe("Persisting mutations", function() {
+      let saves, errors;
+
+      let persist = (type) => {
+        return (...args) => {
+          let request = { args };
+          request.promise = new Promise((resolve, reject) => {
+            Object.assign(request, { resolve, reject });
+          });
+          saves[type] = request;
+          return request.promise;
+        };
+      };
+
+      let settle = (done) => setTimeout(done);
+
+      beforeEach(function() {
+        saves = {};
+        errors = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          fetch, unfetch, observe,
+          create: persist('create'),
+          update: persist('update'),
+          destroy: persist('destroy')
+        });
+        dataset.on('error', (error) => errors.push(error));
+        dataset.setReadOffset(0);
+        return server.resolveAll();
+      });
+
+      describe("posting a record", function() {
+        let content, saved;
+        beforeEach(function() {
+          content = { name: 'Record 1000' };
+          saved = dataset.post(content, 0).saved;
+        });
+
+        it("inserts the record optimistically", function() {
+          expect(dataset.state.length).to.equal(11);
+          expect(dataset.state.getRecord(0).content).to.equal(content);
+          expect(dataset.state.getRecord(0).isSaving).to.equal(true);
+          expect(dataset.state.getRecord(1).isSaving).to.equal(false);
+          expect(saves.create.args).to.deep.equal([content, 0]);
+        });
+
+        describe("when the server confirms the record", function() {
+          beforeEach(function(done) {
+            saves.create.resolve({ id: 1000, name: 'Record 1000' });
+            settle(done);
+          });
+
+          it("replaces the record with the canonical record", function() {
+            let record = dataset.state.getRecord(0);
+            expect(record.content).to.deep.equal({ id: 1000, name: 'Record 1000' });
+            expect(record.isSaving).to.equal(false);
+            expect(dataset.state.length).to.equal(11);
+          });
+        });
+
+        describe("when the server rejects the record", function() {
+          beforeEach(function(done) {
+            saves.create.reject('422');
+            settle(done);
+          });
+
+          it("rolls back the record", function() {
+            expect(dataset.state.length).to.equal(10);
+            expect(dataset.state.getRecord(0).content.name).to.equal('Record 0');
+          });
+
+          it("emits an error", function() {
+            expect(errors).to.deep.equal(['422']);
+          });
+
+          it("rejects the saved promise with the error", function() {
+            return saved.then(() => {
+              throw new Error('saved resolved');
+            }, (error) => {
+              expect(error).to.equal('422');
+            });
+          });
+        });
+      });
+
+      describe("putting a record", function() {
+        let saved;
+        beforeEach(function() {
+          saved = dataset.put({ name: 'Record 999' }, 1).saved;
+        });
+
+        it("updates the record optimistically", function() {
+          let record = dataset.state.getRecord(1);
+          expect(record.content).to.deep.equal({ name: 'Record 999' });
+          expect(record.isSaving).to.equal(true);
+        });
+
+        describe("when the server rejects the update", function() {
+          beforeEach(function(done) {
+            saves.update.reject('409');
+            settle(done);
+          });
+
+          it("restores the original record", function() {
+            let record = dataset.state.getRecord(1);
+            expect(record.content).to.deep.equal({ name: 'Record 1' });
+            expect(record.isSaving).to.equal(false);
+            expect(errors).to.deep.equal(['409']);
+          });
+
+          it("rejects the saved promise with the error", function() {
+            return saved.then(() => {
+              throw new Error('saved resolved');
+            }, (error) => {
+              expect(error).to.equal('409');
+            });
+          });
+        });
+      });
+
+      describe("deleting a record", function() {
+        let saved;
+        beforeEach(function() {
+          saved = dataset.delete(2).saved;
+        });
+
+        it("removes the record optimistically", function() {
+          expect(dataset.state.length).to.equal(9);
+          expect(saves.destroy.args).to.deep.equal([{ name: 'Record 2' }, 2]);
+        });
+
+        describe("when the server rejects the deletion", function() {
+          beforeEach(function(done) {
+            saves.destroy.reject('403');
+            settle(done);
+          });
+
+          it("reinserts the record", function() {
+            expect(dataset.state.length).to.equal(10);
+            expect(dataset.state.getRecord(2).content).to.deep.equal({ name: 'Record 2' });
+          });
+
+          it("rejects the saved promise with the error", function() {
+            return saved.then(() => {
+              throw new Error('saved resolved');
+            }, (error) => {
+              expect(error).to.equal('403');
+            });
+          });
+        });
+
+        describe("when the server rejects the deletion after other mutations", function() {
+          beforeEach(function(done) {
+            dataset.post({ name: 'Record 1000' }, 0);
+            saves.destroy.reject('403');
+            settle(done);
+          });
+
+          it("reinserts the record next to its former neighbours", function() {
+            let names = dataset.state.slice(0, 5).map((record) => record.content.name);
+            expect(names).to.deep.equal(['Record 1000', 'Record 0', 'Record 1', 'Record 2', 'Record 3']);
+          });
+        });
+      });
+
+      describe("failing to roll back a mutation", function() {
+        beforeEach(function(done) {
+          dataset.delete(2);
+          dataset.reset(0);
+          saves.destroy.reject('403');
+          settle(done);
+        });
+
+        it("emits an error for the rollback as well", function() {
+          expect(errors[0]).to.equal('403');
+          expect(errors[1]).to.be.an.instanceof(RollbackError);
+          expect(errors[1].error).to.be.an.instanceof(UnresolvedRecordError);
+        });
+      });
+    });
+
+    describe("Mutation results", function() {
+      let errors, states;
+
+      beforeEach(function() {
+        errors = [];
+        states = 0;
+        dataset.on('error', (error) => errors.push(error));
+        dataset.on('state', () => states++);
+        dataset.setReadOffset(0);
+        return server.resolveAll().then(() => states = 0);
+      });
+
+      it("returns the posted records", function() {
+        let content = { name: 'Record 1000' };
+        let result = dataset.post(content, 3);
+        expect(result.state).to.equal(dataset.state);
+        expect(result.records.length).to.equal(1);
+        expect(result.records[0].content).to.equal(content);
+        expect(dataset.state.getRecord(3)).to.equal(result.records[0]);
+      });
+
+      it("returns the updated records", function() {
+        let result = dataset.put({ name: 'Record 999' }, 0);
+        expect(result.records[0].content).to.deep.equal({ name: 'Record 999' });
+        expect(dataset.state.getRecord(0).content.name).to.equal('Record 999');
+      });
+
+      it("returns the deleted records", function() {
+        let result = dataset.delete(4);
+        expect(result.records[0].content).to.deep.equal({ name: 'Record 4' });
+        expect(dataset.state.length).to.equal(9);
+      });
+
+      it("resolves once the change is saved", function() {
+        return dataset.delete(4).saved;
+      });
+
+      describe("mutating a record out of range", function() {
+        let result;
+        beforeEach(function() {
+          result = dataset.delete(10);
+        });
+
+        it("emits an IndexOutOfRangeError", function() {
+          expect(errors.length).to.equal(1);
+          expect(errors[0]).to.be.an.instanceof(IndexOutOfRangeError);
+          expect(errors[0].index).to.equal(10);
+          expect(result.error).to.equal(errors[0]);
+          expect(result.records).to.deep.equal([]);
+        });
+
+        it("does not emit a new state", function() {
+          expect(states).to.equal(0);
+          expect(dataset.state.length).to.equal(10);
+        });
+      });
+
+      describe("mutating a record which is not resolved", function() {
+        beforeEach(function() {
+          dataset.setReadOffset(10);
+          dataset.post({ name: 'Record 1000' }, 15);
+        });
+
+        it("emits an UnresolvedRecordError", function() {
+          expect(errors.length).to.equal(1);
+          expect(errors[0]).to.be.an.instanceof(UnresolvedRecordError);
+        });
+      });
+
+      describe("in strict mode", function() {
+        beforeEach(function() {
+          dataset.strict = true;
+        });
+
+        it("throws instead", function() {
+          let err;
+          try { dataset.put({ name: 'Record 999' }, -1); } catch(e) { err = e; }
+          expect(err).to.be.an.instanceof(IndexOutOfRangeError);
+          expect(errors.length).to.equal(0);
+        });
+      });
+    });
+
+    describe("Identifying records", function() {
+      let errors;
+
+      beforeEach(function() {
+        errors = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          idKey: 'name',
+          fetch, unfetch, observe
+        });
+        dataset.on('error', (error) => errors.push(error));
+        dataset.setReadOffset(0);
+        return server.resolveAll();
+      });
+
+      it("looks up records by id", function() {
+        let record = dataset.state.getRecordById('Record 4');
+        expect(record.content).to.deep.equal({ name: 'Record 4' });
+        expect(dataset.state.indexOfId('Record 4')).to.equal(4);
+      });
+
+      it("follows records whose index shifts", function() {
+        dataset.post({ name: 'Record 1000' }, 0);
+        expect(dataset.state.indexOfId('Record 4')).to.equal(5);
+        expect(dataset.state.indexOfId('Record 1000')).to.equal(0);
+      });
+
+      it("updates records by id", function() {
+        dataset.put({ selected: true }, { id: 'Record 4' });
+        expect(dataset.state.getRecord(4).content).to.deep.equal({ name: 'Record 4', selected: true });
+      });
+
+      it("deletes records by id", function() {
+        let { records } = dataset.delete({ id: 'Record 4' });
+        expect(records[0].content).to.deep.equal({ name: 'Record 4' });
+        expect(dataset.state.length).to.equal(9);
+        expect(dataset.state.indexOfId('Record 4')).to.equal(-1);
+      });
+
+      it("emits a RecordNotFoundError for unknown ids", function() {
+        let result = dataset.delete({ id: 'Record 1000' });
+        expect(result.error).to.be.an.instanceof(RecordNotFoundError);
+        expect(result.error.id).to.equal('Record 1000');
+        expect(errors[0]).to.equal(result.error);
+        expect(dataset.state.length).to.equal(10);
+      });
+    });
+
+    describe("Deduplicating shifted records", function() {
+      let drifted;
+
+      beforeEach(function() {
+        drifted = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 20,
+          idKey: 'name',
+          // Two records were inserted on the server before page 1 was fetched
+          fetch: (pageOffset, pageSize, stats) => {
+            return server.request(pageOffset, pageSize, stats).then((records) => {
+              let shift = pageOffset > 0 ? 2 : 0;
+              return records.map((_, i) => ({ name: `Record ${pageOffset * pageSize + i - shift}` }));
+            });
+          },
+          unfetch, observe
+        });
+        dataset.on('page:drifted', (page) => drifted.push(page.offset));
+        dataset.setReadOffset(0);
+        return server.resolve(0).then(() => server.resolve(1));
+      });
+
+      it("drops records which are already loaded", function() {
+        expect(dataset.state.length).to.equal(18);
+        expect(dataset.state.getRecord(9).content.name).to.equal('Record 9');
+        expect(dataset.state.getRecord(10).content.name).to.equal('Record 10');
+        expect(dataset.state.getPage(1).records.length).to.equal(8);
+      });
+
+      it("reports the drift", function() {
+        expect(drifted).to.deep.equal([1]);
+        expect(dataset.state.drifted.length).to.equal(1);
+        expect(dataset.state.getPage(1).duplicates).to.deep.equal([
+          { name: 'Record 8' }, { name: 'Record 9' }
+        ]);
+      });
+
+      it("does not take the page for the end of the dataset", function() {
+        expect(dataset.state.isComplete).to.equal(false);
+      });
+    });
+
+    describe("Applying server changes", function() {
+      let states;
+
+      beforeEach(function() {
+        states = 0;
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 20,
+          idKey: 'name',
+          fetch: (pageOffset, pageSize, stats) => {
+            stats.totalPages = 5;
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return server.resolve(0).then(() => {
+          dataset.on('state', () => states++);
+        });
+      });
+
+      it("applies the batch to the resolved records in a single state", function() {
+        dataset.applyChanges([
+          { type: 'insert', index: 2, content: { name: 'Record 1000' } },
+          { type: 'update', id: 'Record 5', content: { name: 'Record 5', starred: true } },
+          { type: 'remove', index: 0 }
+        ]);
+        expect(states).to.equal(1);
+        expect(dataset.state.length).to.equal(50);
+        expect(dataset.state.getRecord(1).content.name).to.equal('Record 1000');
+        expect(dataset.state.getRecordById('Record 5').content.starred).to.equal(true);
+        expect(dataset.state.indexOfId('Record 0')).to.equal(-1);
+      });
+
+      it("ignores changes to records which are not loaded", function() {
+        dataset.applyChanges([{ type: 'update', id: 'Record 35', content: { name: 'Record 35' } }]);
+        expect(dataset.state.length).to.equal(50);
+        expect(dataset.state.stats.totalPages).to.equal(5);
+      });
+
+      describe("changing records on a pending page", function() {
+        let outdated, result;
+
+        beforeEach(function() {
+          outdated = requests[1];
+          result = dataset.applyChanges([{ type: 'remove', index: 12 }]);
+        });
+
+        it("fetches the page again", function() {
+          expect(result.stale.map((p) => p.offset)).to.deep.equal([1]);
+          expect(requests[1]).not.to.equal(outdated);
+          expect(dataset.state.getPage(1).isPending).to.equal(true);
+        });
+
+        it("ignores the outdated response", function() {
+          return outdated.resolve().then(() => {
+            expect(dataset.state.getPage(1).isPending).to.equal(true);
+          });
+        });
+      });
+
+      describe("removing records beyond the loaded pages", function() {
+        beforeEach(function() {
+          let removals = Array.from(Array(10), () => ({ type: 'remove', index: 40 }));
+          dataset.applyChanges(removals);
+        });
+
+        it("adjusts the total number of pages", function() {
+          expect(dataset.state.stats.totalPages).to.equal(4);
+          expect(dataset.state.length).to.equal(40);
+          expect(states).to.equal(1);
+        });
+      });
+    });
+
+    describe("Refreshing pages", function() {
+      let version, errors;
+
+      beforeEach(function() {
+        version = 1;
+        errors = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          loadHorizon: 20,
+          maxAge: 5,
+          fetch: (pageOffset, pageSize, stats) => {
+            let v = version;
+            return server.request(pageOffset, pageSize, stats).then((records) => {
+              return records.map((record) => Object.assign({ version: v }, record));
+            });
+          },
+          unfetch, observe
+        });
+        dataset.on('error', (error) => errors.push(error));
+        dataset.setReadOffset(0);
+        return server.resolveAll().then(() => version = 2);
+      });
+
+      describe("refreshing a page", function() {
+        beforeEach(function() {
+          dataset.refresh(0);
+        });
+
+        it("keeps its records while revalidating", function() {
+          let page = dataset.state.getPage(0);
+          expect(page.isRevalidating).to.equal(true);
+          expect(page.isResolved).to.equal(true);
+          expect(dataset.state.getRecord(0).content.version).to.equal(1);
+          expect(dataset.state.getPage(1).isRevalidating).to.equal(false);
+        });
+
+        it("swaps in the fresh records once they arrive", function() {
+          return server.resolve(0).then(() => {
+            let page = dataset.state.getPage(0);
+            expect(page.isRevalidating).to.equal(false);
+            expect(dataset.state.getRecord(0).content.version).to.equal(2);
+            expect(dataset.state.getRecord(10).content.version).to.equal(1);
+          });
+        });
+
+        it("keeps the records when the fetch fails", function(done) {
+          requests[0].reject();
+          setTimeout(() => {
+            let page = dataset.state.getPage(0);
+            expect(page.isResolved).to.equal(true);
+            expect(page.isRevalidating).to.equal(false);
+            expect(dataset.state.getRecord(0).content.version).to.equal(1);
+            expect(errors).to.deep.equal(['404']);
+            done();
+          });
+        });
+      });
+
+      it("refreshes the pages which hold visible records", function() {
+        dataset.refreshVisible();
+        expect(dataset.state.revalidating.map((p) => p.offset)).to.deep.equal([0]);
+      });
+
+      it("refreshes every page in the load horizon", function() {
+        dataset.refreshNearby();
+        expect(dataset.state.revalidating.length).to.equal(2);
+      });
+
+      describe("with limited concurrent fetches", function() {
+        let fetched;
+
+        beforeEach(function() {
+          fetched = [];
+          dataset = new Dataset({
+            pageSize: 10,
+            loadHorizon: 20,
+            maxConcurrentFetches: 1,
+            fetch: (pageOffset, pageSize, stats) => {
+              fetched.push(pageOffset);
+              return server.request(pageOffset, pageSize, stats);
+            },
+            unfetch, observe
+          });
+          dataset.setReadOffset(0);
+          return server.resolve(0).then(() => server.resolve(1)).then(() => {
+            fetched = [];
+            dataset.refresh();
+          });
+        });
+
+        it("waits for a free slot before refreshing a page", function() {
+          expect(dataset.state.revalidating.length).to.equal(2);
+          expect(fetched).to.deep.equal([0]);
+        });
+
+        it("refreshes the next page once the first one is fresh", function() {
+          return server.resolve(0).then(() => {
+            expect(fetched).to.deep.equal([0, 1]);
+          });
+        });
+      });
+
+      describe("when pages are older than maxAge", function() {
+        beforeEach(function(done) {
+          setTimeout(done, 10);
+        });
+
+        it("refreshes them as the read offset moves", function() {
+          expect(dataset.state.expired.length).to.equal(2);
+          dataset.setReadOffset(1);
+          expect(dataset.state.revalidating.length).to.equal(2);
+          expect(dataset.state.expired.length).to.equal(0);
+        });
+      });
+    });
+
+    describe("Sorting records", function() {
+      let unreadFirst = (a, b) => Number(!!a.read) - Number(!!b.read);
+
+      beforeEach(function() {
+        dataset = new Dataset({
+          pageSize: 10,
+          sort: unreadFirst,
+          fetch, unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return server.resolveAll();
+      });
+
+      it("moves records as the sorted column changes", function() {
+        dataset.put({ read: true }, 0);
+        expect(dataset.state.getRecord(0).content.name).to.equal('Record 1');
+        expect(dataset.state.getRecord(9).content).to.deep.equal({ name: 'Record 0', read: true });
+      });
+
+      it("resorts the records", function() {
+        dataset.resort((a, b) => b.name.localeCompare(a.name));
+        expect(dataset.state.getRecord(0).content.name).to.equal('Record 9');
+      });
+    });
+
+    describe("Grouping records", function() {
+      beforeEach(function() {
+        dataset = new Dataset({
+          pageSize: 10,
+          groupBy: (content) => content.name.length,
+          fetch, unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return server.resolveAll();
+      });
+
+      it("exposes the sections of the state", function() {
+        expect(dataset.state.sections).to.deep.equal([{ key: 8, start: 0, count: 10, isComplete: false }]);
+      });
+
+      it("keeps grouping after a reset", function() {
+        dataset.reset(0);
+        return server.resolveAll().then(() => {
+          expect(dataset.state.sections.length).to.equal(1);
+        });
+      });
+    });
+
+    describe("Caching pages", function() {
+      let cache, fetched;
+      let tick = () => new Promise((resolve) => setTimeout(resolve));
+
+      beforeEach(function() {
+        cache = new MemoryCache();
+        fetched = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          unloadHorizon: 10,
+          queryKey: 'feed',
+          cache,
+          fetch: (pageOffset, pageSize, stats) => {
+            fetched.push(pageOffset);
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return tick().then(() => server.resolve(0)).then(tick);
+      });
+
+      it("caches resolved pages by query key and offset", function() {
+        expect(cache.get('feed:0').records.length).to.equal(10);
+      });
+
+      describe("returning to an unloaded page", function() {
+        beforeEach(function() {
+          dataset.setReadOffset(50);
+          return tick().then(() => {
+            expect(dataset.state.getPage(0).isResolved).to.equal(false);
+            dataset.setReadOffset(0);
+          }).then(tick);
+        });
+
+        it("restores it without fetching it again", function() {
+          expect(fetched).to.deep.equal([0, 5, 4]);
+          expect(dataset.state.getPage(0).isResolved).to.equal(true);
+          expect(dataset.state.getRecord(0).content.name).to.equal('Record 0');
+        });
+
+        it("restores the time it was resolved at", function() {
+          expect(dataset.state.getPage(0).resolvedAt).to.equal(cache.get('feed:0').resolvedAt);
+          expect(dataset.state.getPage(0).resolvedAt).to.be.a('number');
+        });
+      });
+
+      it("refreshes cached pages which are older than maxAge", function() {
+        let resolvedAt = Date.now() - 100;
+        cache.set(':0', { records: [{ name: 'Cached 0' }], resolvedAt });
+        dataset = new Dataset({
+          pageSize: 10,
+          maxAge: 50,
+          cache,
+          fetch: (pageOffset, pageSize, stats) => {
+            fetched.push(pageOffset);
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        fetched = [];
+        dataset.setReadOffset(0);
+        return tick().then(() => {
+          let page = dataset.state.getPage(0);
+          expect(page.resolvedAt).to.equal(resolvedAt);
+          expect(page.isRevalidating).to.equal(true);
+          expect(dataset.state.getRecord(0).content.name).to.equal('Cached 0');
+          expect(fetched).to.deep.equal([0]);
+        });
+      });
+
+      it("fetches stale pages from the network", function() {
+        cache.set('feed:1', { records: [{ name: 'Cached 10' }] });
+        dataset.setReadOffset(10);
+        dataset.applyChanges([{ type: 'insert', index: 15, content: { name: 'Inserted' } }]);
+        return tick().then(() => {
+          expect(cache.get('feed:1')).to.equal(undefined);
+          expect(fetched).to.deep.equal([0, 1]);
+          expect(dataset.state.getPage(1).isPending).to.equal(true);
+        });
+      });
+
+      it("fetches refreshed pages from the network", function() {
+        dataset.refresh(0);
+        expect(fetched).to.deep.equal([0, 0]);
+      });
+
+      it("clears the cache on reset", function() {
+        dataset.reset();
+        return tick().then(() => {
+          expect(cache.get('feed:0')).to.equal(undefined);
+        });
+      });
+    });
+
+    describe("Querying", function() {
+      let queries, signals, cache;
+
+      beforeEach(function() {
+        queries = [];
+        signals = [];
+        cache = new MemoryCache();
+        dataset = new Dataset({
+          pageSize: 10,
+          query: { search: 'cats' },
+          cache,
+          fetch: (pageOffset, pageSize, stats, query, { signal }) => {
+            queries.push(query);
+            signals.push(signal);
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return new Promise((resolve) => setTimeout(resolve)).then(() => server.resolve(0));
+      });
+
+      it("passes the query to fetch", function() {
+        expect(queries).to.deep.equal([{ search: 'cats' }]);
+      });
+
+      describe("changing the query", function() {
+        let pending;
+
+        beforeEach(function() {
+          dataset.setReadOffset(15);
+          return new Promise((resolve) => setTimeout(resolve)).then(() => {
+            pending = signals[signals.length - 1];
+            dataset.setQuery({ search: 'dogs' });
+          }).then(() => new Promise((resolve) => setTimeout(resolve)));
+        });
+
+        it("cancels the requests for the previous query", function() {
+          expect(pending.aborted).to.equal(true);
+        });
+
+        it("fetches the pages for the new query from the start", function() {
+          expect(dataset.state.readOffset).to.equal(0);
+          expect(dataset.state.resolved.length).to.equal(0);
+          expect(queries[queries.length - 1]).to.deep.equal({ search: 'dogs' });
+        });
+
+        it("restores the pages of the previous query from the cache", function() {
+          let fetched = queries.length;
+          dataset.setQuery({ search: 'cats' });
+          return new Promise((resolve) => setTimeout(resolve)).then(() => {
+            expect(dataset.state.getPage(0).isResolved).to.equal(true);
+            expect(queries.length).to.equal(fetched);
+          });
+        });
+      });
+
+      it("can preserve the read offset", function() {
+        dataset.setReadOffset(15);
+        dataset.setQuery({ search: 'dogs' }, { preserveReadOffset: true });
+        expect(dataset.state.readOffset).to.equal(15);
+        expect(dataset.query).to.deep.equal({ search: 'dogs' });
+      });
+    });
+
+    describe("Hydrating a serialized state", function() {
+      let hydrated, fetched, json;
+
+      beforeEach(function() {
+        dataset = new Dataset({ pageSize: 10, loadHorizon: 20, fetch, unfetch, observe });
+        dataset.setReadOffset(0);
+        return server.resolve(0).then(() => {
+          json = JSON.stringify(dataset.state);
+          fetched = [];
+          hydrated = Dataset.hydrate(JSON.parse(json), {
+            fetch: (pageOffset, pageSize, stats) => {
+              fetched.push(pageOffset);
+              return server.request(pageOffset, pageSize, stats);
+            }
+          });
+        });
+      });
+
+      it("starts with the resolved pages", function() {
+        expect(hydrated.state.readOffset).to.equal(0);
+        expect(hydrated.state.loadHorizon).to.equal(20);
+        expect(hydrated.state.getPage(0).isResolved).to.equal(true);
+        expect(hydrated.state.getRecord(0).content).to.deep.equal({ name: 'Record 0' });
+      });
+
+      it("only fetches the missing pages", function() {
+        expect(fetched).to.deep.equal([1]);
+        expect(hydrated.state.getPage(1).isPending).to.equal(true);
+      });
+    });
+
+    describe("Setting the visible range", function() {
+      let priorities;
+
+      beforeEach(function() {
+        priorities = {};
+        dataset = new Dataset({
+          pageSize: 10,
+          maxConcurrentFetches: 3,
+          fetch: (pageOffset, pageSize, stats, query, { priority }) => {
+            priorities[pageOffset] = priority;
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setVisibleRange(40, 70);
+      });
+
+      it("fetches the visible pages first", function() {
+        expect(dataset.state.pending.map((p) => p.offset)).to.deep.equal([4, 5, 6]);
+        expect(dataset.state.queued.map((p) => p.offset)).to.deep.equal([3, 7]);
+        expect(priorities).to.deep.equal({ 4: 'high', 5: 'high', 6: 'high' });
+      });
+
+      it("fetches the other pages with a low priority", function() {
+        return server.resolve(4).then(() => {
+          expect(priorities[3]).to.equal('low');
+        });
+      });
+
+      it("throws for ranges which are not numbers", function() {
+        expect(() => dataset.setVisibleRange(0, 'ten')).to.throw(/ten is not a Number/);
+      });
+
+      it("keeps the visible range when resetting", function() {
+        dataset.reset(40);
+        expect(dataset.state.visibleStart).to.equal(40);
+        expect(dataset.state.visibleEnd).to.equal(70);
+        expect(dataset.state.pending.map((p) => p.offset)).to.deep.equal([4, 5, 6]);
+      });
+
+      it("moves the visible range along with the read offset when querying", function() {
+        dataset.setQuery('search');
+        expect(dataset.state.visibleStart).to.equal(0);
+        expect(dataset.state.visibleEnd).to.equal(30);
+        dataset.setVisibleRange(40, 70);
+        dataset.setQuery('other', { preserveReadOffset: true });
+        expect(dataset.state.visibleStart).to.equal(40);
+        expect(dataset.state.visibleEnd).to.equal(70);
+      });
+    });
+
+    describe("Anchoring at a record", function() {
+      let anchors;
+
+      beforeEach(function() {
+        anchors = [];
+        dataset = new Dataset({
+          pageSize: 10,
+          anchor: { id: 'Record 0' },
+          fetch: (pageOffset, pageSize, stats, query, { anchor }) => {
+            anchors.push(anchor);
+            return server.request(pageOffset, pageSize, stats);
+          },
+          unfetch, observe
+        });
+        dataset.setReadOffset(0);
+        return server.resolve(0).then(() => server.resolve(-1));
+      });
+
+      it("fetches pages on either side of the anchor", function() {
+        expect(dataset.state.resolved.map((p) => p.offset)).to.deep.equal([-1, 0]);
+        expect(anchors).to.deep.equal([{ id: 'Record 0' }, { id: 'Record 0' }]);
+      });
+
+      it("keeps reading the anchor as earlier pages load", function() {
+        expect(dataset.state.getRecord(dataset.state.readOffset).content.name).to.equal('Record 0');
+        dataset.setReadOffset(0);
+        expect(dataset.state.indexShift).to.equal(10);
+        expect(dataset.state.getRecord(dataset.state.readOffset).content.name).to.equal('Record -10');
+      });
+
+      it("starts over at the anchor", function() {
+        dataset.setReadOffset(0);
+        dataset.reset(0);
+        expect(dataset.state.pages.map((p) => p.offset)).to.deep.equal([-1, 0]);
+        expect(dataset.state.readOffset).to.equal(10);
+      });
+
+      describe("given as an offset", function() {
+        beforeEach(function() {
+          dataset = new Dataset({ pageSize: 10, anchor: { offset: 15 }, fetch, unfetch, observe });
+          dataset.setReadOffset(0);
+          dataset.setReadOffset(0);
+        });
+
+        it("stops at the page holding the first record", function() {
+          expect(dataset.state.stats.firstPage).to.equal(-2);
+          expect(dataset.state.pages.map((p) => p.offset)).to.deep.equal([-2, -1]);
+        });
+
+        it("stays on the first record once every page before it is requested", function() {
+          dataset.setReadOffset(0);
+          expect(dataset.state.indexShift).to.equal(0);
+          expect(dataset.state.readOffset).to.equal(0);
+        });
+      });
+    });
+
+    describe("Statistics ", function() {
+      describe("when fetch() returns totalPages", function() {
+        beforeEach(function() {
+          fetch = (pageOffset, pageSize, stats) => {
+            stats.totalPages = 10;
+            return server.request(pageOffset, pageSize, stats);
+          };
+          dataset = new Dataset({
+            pageSize: 10,
+            fetch, unfetch, observe
+          });
+          return dataset.setReadOffset(0);
+        });
+
+        it("makes one request", function() {
+          expect(server.requests.length).to.equal(1);
+          expect(dataset.state.requested.length).to.equal(1);
+        });
+
+        it("sets total pages", function() {
+          expect(dataset.state.stats.totalPages).to.equal(10);
+          expect(dataset.state.length).to.equal(100);
+        });
+
+        describe("resolving the request with totalPages stats", function() {
+          beforeEach(function() {
+            return server.resolveAll();
+          });
+
+          it("sets total pages", function() {
+            expect(dataset.state.stats.totalPages).to.equal(10);
+            expect(dataset.state.length).to.equal(100);
+            expect(dataset.state.requested.length).to.equal(1);
+          });
+
+          describe("Setting readOffset out of bounds", function() {
+
+            describe("where the minimum loadHorizon is less than the dataset length", function() {
+              beforeEach(function() {
+                let minLoadHorizon = dataset.state.length - 1;
+                dataset.setReadOffset(minLoadHorizon + dataset.state.loadHorizon);
+              });
+              it("makes one additional request", function() {
+                expect(dataset.state.requested.length).to.equal(2);
+              });
+              it("requests the last page", function() {
+                expect(dataset.state.getRecord(90).isRequested).to.equal(true);
+              });
+              it("does not have a record at the readOffset", function() {
+                let record = dataset.state.getRecord(100);
+                expect(record).to.have.property('content', null);
+                expect(record.isRequested).to.equal(false);
+              });
+            });
+            describe("where the minimum loadHorizon is greater than or equal to the dataset length", function() {
+              beforeEach(function() {
+                let minLoadHorizon = dataset.state.length;
+                dataset.setReadOffset(minLoadHorizon + dataset.state.loadHorizon);
+              });
+
+              it("does not make any additional request", function() {
+                expect(dataset.state.requested.length).to.equal(1);
+                expect(dataset.state.length).to.equal(100);
+              });
+              it("sets the readOffset at the out of bounds index", function() {
+                expect(dataset.state.readOffset).to.equal(110);
+              });
+            });
+          });
+        });
+
+        describe("rejecting the request with totalPages stats", function() {
+          beforeEach(function(done) {
+            let page = dataset.state.requested[0];
+            let finish = ()=> done();
+            return server.reject(page.offset).then(finish).catch(finish);
+          });
+
+          it("sets the total pages minus the length of the rjected page", function() {
+            expect(dataset.state.stats.totalPages).to.equal(10);
+            expect(dataset.state.length).to.equal(90);
+          });
+        });
+      });
+    });
+  });
+});
+
+describe("Streaming states", function() {
+  let dataset, server;
+
+  beforeEach(function() {
+    server = new Server();
+    dataset = new Dataset({
+      pageSize: 10,
+      fetch: (pageOffset, pageSize, stats) => server.request(pageOffset, pageSize, stats)
+    });
+  });
+
+  describe("subscribing to the observable", function() {
+    let states, subscription;
+
+    beforeEach(function() {
+      states = [];
+      subscription = dataset.states().subscribe((state) => states.push(state));
+      dataset.setReadOffset(0);
+    });
+
+    it("is an ES Observable", function() {
+      let states = dataset.states();
+      expect(states[observable]()).to.equal(states);
+    });
+
+    it("emits the current state and every new state", function() {
+      expect(states.length).to.equal(2);
+      expect(states[0].readOffset).to.equal(undefined);
+      expect(states[1]).to.equal(dataset.state);
+      expect(states[1].pending.length).to.equal(1);
+    });
+
+    describe("unsubscribing", function() {
+      beforeEach(function() {
+        subscription.unsubscribe();
+        dataset.setReadOffset(50);
+      });
+
+      it("closes the subscription", function() {
+        expect(subscription.closed).to.equal(true);
+        expect(states.length).to.equal(2);
+      });
+
+      it("stops fetching pages", function() {
+        expect(server.requests.length).to.equal(1);
+        expect(dataset.state.pending.length).to.equal(0);
+        expect(dataset.state.queued.length).to.equal(2);
+      });
+
+      describe("subscribing again", function() {
+        beforeEach(function() {
+          dataset.states().subscribe({ next: (state) => states.push(state) });
+        });
+
+        it("resumes fetching pages", function() {
+          expect(dataset.state.pending.length).to.equal(2);
+          expect(states[states.length - 1]).to.equal(dataset.state);
+        });
+      });
+
+      describe("listening to states", function() {
+        let listened;
+
+        beforeEach(function() {
+          listened = [];
+          dataset.on('state', (state) => listened.push(state));
+        });
+
+        it("resumes fetching pages", function() {
+          expect(server.requests[4]).to.be.an.instanceof(PageRequest);
+          expect(dataset.state.pending.length).to.equal(2);
+          expect(listened).to.deep.equal([dataset.state]);
+        });
+
+        it("stops fetching again once nothing listens", function() {
+          dataset.off('state');
+          dataset.setReadOffset(100);
+          expect(dataset.state.queued.length).to.equal(2);
+        });
+      });
+    });
+
+    describe("subscribing again with nothing to fetch", function() {
+      let observed;
+
+      beforeEach(function() {
+        subscription.unsubscribe();
+        states = [];
+        observed = 0;
+        dataset.on('state', () => observed++);
+        dataset.states().subscribe((state) => states.push(state));
+      });
+
+      it("emits the current state only once", function() {
+        expect(states).to.deep.equal([dataset.state]);
+        expect(observed).to.equal(0);
+      });
+    });
+  });
+
+  describe("iterating asynchronously", function() {
+    let iterator;
+
+    beforeEach(function() {
+      iterator = dataset[asyncIterator]();
+    });
+
+    it("yields the current state and every new state", function() {
+      return iterator.next().then(({ value, done }) => {
+        expect(done).to.equal(false);
+        expect(value.readOffset).to.equal(undefined);
+
+        let next = iterator.next();
+        dataset.setReadOffset(0);
+        return next;
+      }).then(({ value, done }) => {
+        expect(done).to.equal(false);
+        expect(value).to.equal(dataset.state);
+        expect(value.readOffset).to.equal(0);
+      });
+    });
+
+    describe("returning early", function() {
+      beforeEach(function() {
+        return iterator.return();
+      });
+
+      it("is done", function() {
+        return iterator.next().then(({ done }) => {
+          expect(done).to.equal(true);
         });
       });
     });
@@ -11,3 +11,4 @@ require('binary-search-tree');
 require("./dataset-test.js");
 require("./state-test.js");
 require("./page-tree.js");
+require("./page-cache-test.js");
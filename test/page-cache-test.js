@@ -0,0 +1,93 @@
+import { MemoryCache, StorageCache } from '../src/page-cache';
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+
+describe("Page Cache", function() {
+  describe("in memory", function() {
+    let cache;
+    beforeEach(function() {
+      cache = new MemoryCache({ maxSize: 2 });
+      cache.set(':0', { records: [0] });
+      cache.set(':1', { records: [1] });
+    });
+
+    it("returns the cached pages", function() {
+      expect(cache.get(':0')).to.deep.equal({ records: [0] });
+      expect(cache.get(':2')).to.equal(undefined);
+    });
+
+    it("evicts the least recently used page", function() {
+      cache.get(':0');
+      cache.set(':2', { records: [2] });
+      expect(cache.get(':1')).to.equal(undefined);
+      expect(cache.get(':0')).to.deep.equal({ records: [0] });
+      expect(cache.get(':2')).to.deep.equal({ records: [2] });
+    });
+
+    it("deletes and clears pages", function() {
+      cache.delete(':0');
+      expect(cache.get(':0')).to.equal(undefined);
+      cache.clear();
+      expect(cache.get(':1')).to.equal(undefined);
+    });
+  });
+
+  describe("in a storage", function() {
+    let storage, cache;
+    beforeEach(function() {
+      let items = {};
+      storage = {
+        get length() { return Object.keys(items).length; },
+        key: (i) => Object.keys(items)[i],
+        getItem: (key) => items.hasOwnProperty(key) ? items[key] : null,
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: (key) => { delete items[key]; }
+      };
+      storage.setItem('other', 'value');
+      cache = new StorageCache(storage);
+      cache.set(':0', { records: [{ name: 'Record 0' }], nextCursor: 'a' });
+    });
+
+    it("serializes the pages", function() {
+      expect(storage.getItem('impagination::0')).to.be.a('string');
+      expect(cache.get(':0')).to.deep.equal({ records: [{ name: 'Record 0' }], nextCursor: 'a' });
+      expect(cache.get(':1')).to.equal(undefined);
+    });
+
+    it("restores the pages of a previous cache", function() {
+      expect(new StorageCache(storage).get(':0').nextCursor).to.equal('a');
+    });
+
+    it("only clears its own pages", function() {
+      new StorageCache(storage).clear();
+      expect(cache.get(':0')).to.equal(undefined);
+      expect(storage.getItem('other')).to.equal('value');
+    });
+
+    describe("which is asynchronous", function() {
+      beforeEach(function() {
+        let sync = storage;
+        storage = {
+          getItem: (key) => Promise.resolve(sync.getItem(key)),
+          setItem: (key, value) => Promise.resolve(sync.setItem(key, value)),
+          removeItem: (key) => Promise.resolve(sync.removeItem(key))
+        };
+        cache = new StorageCache(storage);
+      });
+
+      it("returns promises of the pages", function() {
+        return cache.set(':1', { records: [] }).then(() => cache.get(':1')).then((response) => {
+          expect(response).to.deep.equal({ records: [] });
+        });
+      });
+
+      it("clears the pages it stored", function() {
+        return cache.set(':1', { records: [] })
+          .then(() => cache.clear())
+          .then(() => cache.get(':1'))
+          .then((response) => expect(response).to.equal(undefined));
+      });
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import State from '../src/state';
+import { UnresolvedRecordError } from '../src/errors';
 
 import { describe, it, beforeEach } from 'mocha';
 import { expect } from 'chai';
@@ -109,6 +110,29 @@ describe("Pages Interface State ", function() {
           });
         });
 
+        describe("queueing all unrequested pages", function() {
+          beforeEach(function() {
+            state = state.enqueue(state.unrequested);
+          });
+
+          it("queues pages", function() {
+            expectPages(state);
+            expect(state.queued.length).to.equal(1);
+            expect(state.length).to.equal(10);
+          });
+
+          describe("fetching the queued pages", function() {
+            beforeEach(function() {
+              state = state.fetch(state.queued);
+            });
+
+            it("requests pages", function() {
+              expectPages(state, { pending: 1 });
+              expect(state.queued.length).to.equal(0);
+            });
+          });
+        });
+
         describe("fetching all unrequested pages", function() {
           beforeEach(function() {
             state = state.fetch(state.unrequested);
@@ -259,6 +283,93 @@ describe("Pages Interface State ", function() {
       });
     });
 
+    describe("with variable page sizes", function() {
+      let state;
+      beforeEach(function() {
+        state = new State({
+          pageSize: 10,
+          loadHorizon: 30
+        }).setReadOffset(0);
+        state = state.fetch(state.unrequested);
+      });
+
+      it("has pending pages", function() {
+        expectPages(state, { pending: 3 });
+        expect(state.length).to.equal(30);
+      });
+
+      describe("resolving pages with more and fewer records than pageSize", function() {
+        beforeEach(function() {
+          state = state.resolve(createRecords(15, 0), 0);
+          state = state.resolve(createRecords(10, 1), 1);
+        });
+
+        it("indexes records by the actual page sizes", function() {
+          expect(state.length).to.equal(35);
+          expect(state.getRecord(14).page.offset).to.equal(0);
+          expect(state.getRecord(15).page.offset).to.equal(1);
+          expect(state.getRecord(15).index).to.equal(0);
+          expect(state.getRecord(25).page.offset).to.equal(2);
+          expect(state.getRecord(25).isPending).to.equal(true);
+        });
+
+        it("does not know the total pages", function() {
+          expect(state.stats.totalPages).to.equal(undefined);
+        });
+
+        describe("resolving a short page", function() {
+          beforeEach(function() {
+            state = state.resolve(createRecords(4, 2), 2);
+          });
+
+          it("ends the dataset after the short page", function() {
+            expect(state.stats.totalPages).to.equal(3);
+            expect(state.length).to.equal(29);
+            expect(state.getRecord(28).content).to.have.property('name');
+          });
+        });
+      });
+
+      describe("resolving a short page before the last pending page", function() {
+        beforeEach(function() {
+          state = state.resolve(createRecords(4, 1), 1);
+        });
+
+        it("unloads the pages beyond the short page", function() {
+          expect(state.stats.totalPages).to.equal(2);
+          expectPages(state, { pending: 1, resolved: 1 });
+          expect(state.length).to.equal(14);
+        });
+      });
+
+      describe("resolving a short page after the pages beyond it", function() {
+        beforeEach(function() {
+          state = state.resolve(createRecords(10, 2), 2);
+          state = state.resolve(createRecords(4, 1), 1);
+        });
+
+        it("keeps the resolved pages beyond the short page", function() {
+          expect(state.stats.totalPages).to.equal(undefined);
+          expectPages(state, { pending: 1, resolved: 2 });
+          expect(state.length).to.equal(24);
+        });
+      });
+
+      describe("without inferring the end", function() {
+        beforeEach(function() {
+          state = new State({ pageSize: 10, loadHorizon: 30, inferEnd: false }).setReadOffset(0);
+          state = state.fetch(state.unrequested);
+          state = state.resolve(createRecords(4, 0), 0);
+        });
+
+        it("keeps loading the pages beyond a short page", function() {
+          expect(state.stats.totalPages).to.equal(undefined);
+          expectPages(state, { pending: 2, resolved: 1 });
+          expect(state.length).to.equal(24);
+        });
+      });
+    });
+
     describe("with stats", function() {
       let state;
       beforeEach(function() {
@@ -307,4 +418,558 @@ describe("Pages Interface State ", function() {
       });
     });
   });
+  describe("diffing states", function() {
+    let initial, state;
+    beforeEach(function() {
+      initial = new State({ pageSize: 10 });
+      state = initial.setReadOffset(0);
+    });
+
+    it("inserts unrequested records", function() {
+      expect(State.diff(initial, state)).to.deep.equal([
+        { type: 'insert', to: 0, count: 10 }
+      ]);
+    });
+
+    it("does not change anything between identical states", function() {
+      expect(state.changesSince(state)).to.deep.equal([]);
+    });
+
+    describe("resolving a page", function() {
+      let pending;
+      beforeEach(function() {
+        pending = state = state.fetch(state.unrequested);
+        state = state.resolve(createRecords(10, 0), 0);
+      });
+
+      it("updates the records of the page", function() {
+        expect(pending.changesSince(initial.setReadOffset(0))).to.deep.equal([
+          { type: 'update', from: 0, to: 0, count: 10 }
+        ]);
+        expect(state.changesSince(pending)).to.deep.equal([
+          { type: 'update', from: 0, to: 0, count: 10 }
+        ]);
+      });
+
+      it("removes deleted records", function() {
+        let next = state.splice(3, 1);
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'remove', from: 3, count: 1 }
+        ]);
+      });
+
+      it("inserts posted records", function() {
+        let next = state.splice(0, 0, { name: 'Record 1000' });
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'insert', to: 0, count: 1 }
+        ]);
+      });
+
+      it("updates replaced records", function() {
+        let next = state.splice(2, 1, { name: 'Record 1000' });
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'update', from: 2, to: 2, count: 1 }
+        ]);
+      });
+
+      it("moves reordered records", function() {
+        let contents = state.map((record) => record.content);
+        let swapped = [contents[1], contents[0]].concat(contents.slice(2));
+        let next = state.resolve(swapped, 0);
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'move', from: 1, to: 0, count: 1 },
+          { type: 'move', from: 0, to: 1, count: 1 }
+        ]);
+      });
+
+      it("removes filtered records", function() {
+        let next = state.refilter(({ name }) => !/[13]$/.test(name));
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'remove', from: 1, count: 1 },
+          { type: 'remove', from: 3, count: 1 }
+        ]);
+      });
+
+      it("inserts records for new pages", function() {
+        let next = state.setReadOffset(35);
+        expect(next.changesSince(state)).to.deep.equal([
+          { type: 'insert', to: 10, count: 40 }
+        ]);
+      });
+    });
+  });
+  describe("splicing records", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 30 }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.resolve(createRecords(10, 1), 1);
+    });
+
+    it("removes records across pages", function() {
+      state = state.splice(8, 4);
+      expect(state.length).to.equal(26);
+      expect(state.getPage(0).records.length).to.equal(8);
+      expect(state.getPage(1).records.length).to.equal(8);
+      expect(state.getRecord(7).content.name).to.equal('Record 7');
+      expect(state.getRecord(8).content.name).to.equal('Record 12');
+    });
+
+    it("grows the page the records are inserted into", function() {
+      state = state.splice(5, 0, ...createRecords(15, 100));
+      expect(state.length).to.equal(45);
+      expect(state.getPage(0).records.length).to.equal(25);
+      expect(state.getRecord(19).page.offset).to.equal(0);
+      expect(state.getRecord(20).content.name).to.equal('Record 5');
+      expect(state.getRecord(25).page.offset).to.equal(1);
+      expect(state.getRecord(25).content.name).to.equal('Record 10');
+    });
+
+    it("replaces records across pages", function() {
+      state = state.splice(9, 2, { name: 'Replaced' });
+      expect(state.length).to.equal(29);
+      expect(state.getRecord(9).content.name).to.equal('Replaced');
+      expect(state.getRecord(9).page.offset).to.equal(0);
+      expect(state.getRecord(10).content.name).to.equal('Record 11');
+    });
+
+    it("refuses to remove records on unresolved pages", function() {
+      let err;
+      try { state.splice(18, 4); } catch(e) { err = e; }
+      expect(err).to.be.an.instanceof(UnresolvedRecordError);
+      expect(err.index).to.equal(20);
+      expect(err.message).to.match(/could not find resolved page for record at index 20/);
+    });
+
+    describe("when every page is resolved", function() {
+      beforeEach(function() {
+        state = state.resolve(createRecords(10, 2), 2);
+      });
+
+      it("appends records to the last page", function() {
+        state = state.splice(state.length, 0, { name: 'Appended' });
+        expect(state.length).to.equal(31);
+        expect(state.getRecord(30).content.name).to.equal('Appended');
+        expect(state.getRecord(30).page.offset).to.equal(2);
+      });
+    });
+  });
+
+  describe("resizing", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, stats: { totalPages: 5 } }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+    });
+
+    it("accounts for records changed outside the loaded pages", function() {
+      let resized = state.resize(15);
+      expect(resized.stats.totalPages).to.equal(7);
+      expect(resized.length).to.equal(70);
+    });
+
+    it("does not change the previous state", function() {
+      state.resize(15);
+      expect(state.stats.totalPages).to.equal(5);
+      expect(state.length).to.equal(50);
+    });
+  });
+
+  describe("revalidating pages", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 10 }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.revalidate(state.resolved);
+    });
+
+    it("keeps the records of revalidating pages", function() {
+      expect(state.revalidating.length).to.equal(1);
+      expect(state.getRecord(0).isResolved).to.equal(true);
+      expect(state.getRecord(0).content.name).to.equal('Record 0');
+    });
+
+    it("stays revalidating while records change", function() {
+      state = state.splice(0, 1);
+      expect(state.getPage(0).isRevalidating).to.equal(true);
+      expect(state.length).to.equal(9);
+    });
+
+    it("swaps in the fresh records", function() {
+      state = state.resolve(createRecords(10, 5), 0);
+      expect(state.revalidating.length).to.equal(0);
+      expect(state.getRecord(0).content.name).to.equal('Record 50');
+    });
+
+    it("does not end the dataset at a refreshed page which is short", function() {
+      state = new State({ pageSize: 10, loadHorizon: 30 }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      [0, 1, 2].forEach((offset) => {
+        state = state.resolve(createRecords(10, offset), offset);
+      });
+      state = state.revalidate([state.getPage(0)]);
+      state = state.resolve(createRecords(9, 0), 0);
+      expect(state.stats.totalPages).to.equal(undefined);
+      expect(state.resolved.length).to.equal(3);
+      expect(state.length).to.equal(29);
+    });
+  });
+
+  describe("serializing states", function() {
+    let state, json;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 20 }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      json = JSON.parse(JSON.stringify(state));
+    });
+
+    it("serializes the resolved pages", function() {
+      expect(json.readOffset).to.equal(0);
+      expect(json.pages.length).to.equal(1);
+      expect(json.pages[0].offset).to.equal(0);
+      expect(json.pages[0].records[0]).to.deep.equal({ name: 'Record 0' });
+    });
+
+    it("restores the resolved pages", function() {
+      let restored = new State({ pageSize: 10, loadHorizon: 20 }).restore(json);
+      expect(restored.readOffset).to.equal(0);
+      expect(restored.getRecord(9).content).to.deep.equal({ name: 'Record 9' });
+      expectPages(restored, { resolved: 1, unrequested: 1 });
+    });
+  });
+
+  describe("sorting records", function() {
+    let state;
+    let descending = (a, b) => b.name.localeCompare(a.name, 'en', { numeric: true });
+
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 20, sort: descending }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.resolve(createRecords(10, 1), 1);
+    });
+
+    it("sorts the records within their page", function() {
+      expect(state.getRecord(0).content.name).to.equal('Record 9');
+      expect(state.getRecord(10).content.name).to.equal('Record 19');
+      expect(state[10].content.name).to.equal('Record 19');
+      expect(state.slice(0, 2).map((r) => r.content.name)).to.deep.equal(['Record 9', 'Record 8']);
+    });
+
+    it("keeps the records sorted as they change", function() {
+      state = state.splice(0, 1, { name: 'Record 5' });
+      expect(state.getRecord(3).content.name).to.equal('Record 5');
+      expect(state.getRecord(4).content.name).to.equal('Record 5');
+    });
+
+    it("can be resorted", function() {
+      state = state.resort(null);
+      expect(state.getRecord(0).content.name).to.equal('Record 0');
+    });
+
+    describe("across the dataset", function() {
+      beforeEach(function() {
+        state = state.resort(descending, 'dataset');
+      });
+
+      it("sorts within pages until every page is resolved", function() {
+        expect(state.getRecord(0).content.name).to.equal('Record 9');
+      });
+
+      describe("once every page is resolved", function() {
+        beforeEach(function() {
+          state.stats.totalPages = 2;
+          state = new State(state);
+        });
+
+        it("sorts the records across pages", function() {
+          expect(state.getRecord(0).content.name).to.equal('Record 19');
+          expect(state[10].content.name).to.equal('Record 9');
+          expect(state.getRecord(0).page.offset).to.equal(1);
+          expect(state.length).to.equal(20);
+        });
+
+        it("reports the moved records", function() {
+          let sorted = state.resort(descending, 'dataset');
+          let ascending = state.resort((a, b) => descending(b, a));
+          let changes = sorted.changesSince(ascending);
+          expect(changes.length).to.be.above(0);
+          expect(changes.every((change) => change.type === 'move')).to.equal(true);
+          expect(sorted.changesSince(sorted)).to.deep.equal([]);
+        });
+      });
+    });
+  });
+
+  describe("grouping records", function() {
+    let state;
+    let byFifteen = (content) => Math.floor(Number(content.name.split(' ')[1]) / 15);
+
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 30, groupBy: byFifteen }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.resolve(createRecords(10, 1), 1);
+    });
+
+    it("groups records into sections across pages", function() {
+      expect(state.sections).to.deep.equal([
+        { key: 0, start: 0, count: 15, isComplete: true },
+        { key: 1, start: 15, count: 5, isComplete: false }
+      ]);
+    });
+
+    it("completes sections as pages resolve", function() {
+      let groups = state.getPage(0).groups(byFifteen);
+      state = state.resolve(createRecords(10, 2), 2, { totalPages: 3 });
+      expect(state.sections[1]).to.deep.equal({ key: 1, start: 15, count: 15, isComplete: true });
+      expect(state.getPage(0).groups(byFifteen)).to.equal(groups);
+    });
+
+    it("finds the section of a record", function() {
+      expect(state.sectionAt(16).key).to.equal(1);
+      expect(state.sectionAt(25)).to.equal(null);
+    });
+
+    it("interleaves section headers with the records", function() {
+      let items = Array.from(state.sectioned());
+      expect(items.length).to.equal(32);
+      expect(items[0]).to.deep.equal({ isHeader: true, section: state.sections[0] });
+      expect(items[1].content.name).to.equal('Record 0');
+      expect(items[16].isHeader).to.equal(true);
+      expect(items[17].content.name).to.equal('Record 15');
+      expect(items[22].isPending).to.equal(true);
+    });
+  });
+
+  describe("asymmetric horizons", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadAhead: 30, loadBehind: 10, unloadBehind: 20 }).setReadOffset(50);
+    });
+
+    it("loads further ahead of the read offset than behind it", function() {
+      expect(state.pages.map((p) => p.offset)).to.deep.equal([4, 5, 6, 7]);
+    });
+
+    it("unloads pages behind the read offset sooner", function() {
+      state = state.fetch(state.unrequested);
+      [4, 5, 6, 7].forEach((offset) => {
+        state = state.resolve(createRecords(10, offset), offset);
+      });
+      state = state.setReadOffset(75);
+      expect(state.unfetchable.map((p) => p.offset)).to.deep.equal([4]);
+      expect(state.pages[0].offset).to.equal(5);
+    });
+
+    it("cannot unload within the load horizon", function() {
+      let err = "";
+      try { new State({ pageSize: 10, loadAhead: 30, unloadAhead: 20 }); } catch(e) { err = e; }
+      expect(err).to.match(/unloadHorizon less than loadHorizon/);
+    });
+
+    describe("which are directional", function() {
+      let now;
+      let dateNow = Date.now;
+
+      beforeEach(function() {
+        now = 0;
+        Date.now = () => now;
+        state = new State({ pageSize: 10, loadHorizon: 20, directional: true }).setReadOffset(50);
+      });
+
+      afterEach(function() {
+        Date.now = dateNow;
+      });
+
+      it("widens the horizon in the direction of travel", function() {
+        now = 1000;
+        state = state.setReadOffset(60);
+        expect(state.direction).to.equal(1);
+        expect(state.velocity).to.equal(10);
+        expect(state.pages.map((p) => p.offset)).to.deep.equal([4, 5, 6, 7, 8]);
+      });
+
+      it("widens at most twice the horizon", function() {
+        now = 100;
+        state = state.setReadOffset(30);
+        expect(state.direction).to.equal(-1);
+        expect(state.velocity).to.equal(200);
+        expect(state.pages.map((p) => p.offset)).to.deep.equal([0, 1, 2, 3, 4]);
+      });
+    });
+  });
+
+  describe("visible ranges", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 10 }).setVisibleRange(40, 70);
+    });
+
+    it("loads pages from either edge of the range", function() {
+      expect(state.readOffset).to.equal(40);
+      expect(state.visibleStart).to.equal(40);
+      expect(state.visibleEnd).to.equal(70);
+      expect(state.pages.map((p) => p.offset)).to.deep.equal([3, 4, 5, 6, 7]);
+    });
+
+    it("queues the visible pages first", function() {
+      state = state.enqueue(state.unrequested);
+      expect(state.queued.map((p) => p.offset)).to.deep.equal([4, 5, 6, 3, 7]);
+      expect(state.isVisible(6)).to.equal(true);
+      expect(state.isVisible(7)).to.equal(false);
+    });
+
+    it("shows a single record once the read offset is set", function() {
+      state = state.setReadOffset(40);
+      expect(state.visibleEnd).to.equal(41);
+      expect(state.pages.map((p) => p.offset)).to.deep.equal([3, 4]);
+    });
+  });
+
+  describe("anchoring at a record", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({ pageSize: 10, loadHorizon: 10, anchor: { id: 'Record 0' } }).setReadOffset(0);
+    });
+
+    it("loads pages before the anchor", function() {
+      expect(state.pages.map((p) => p.offset)).to.deep.equal([-1, 0]);
+    });
+
+    it("indexes records from the anchor until a page is requested", function() {
+      expect(state.indexShift).to.equal(0);
+      expect(state.readOffset).to.equal(0);
+      expect(state.length).to.equal(10);
+      expect(state.setReadOffset(0).readOffset).to.equal(0);
+    });
+
+    it("keeps the read offset on the anchor once the pages are requested", function() {
+      state = state.fetch(state.unrequested);
+      expect(state.indexShift).to.equal(10);
+      expect(state.readOffset).to.equal(10);
+      expect(state.length).to.equal(20);
+    });
+
+    describe("when the pages resolve", function() {
+      beforeEach(function() {
+        state = state.fetch(state.unrequested);
+        state = state.resolve(createRecords(10, 0), 0);
+        state = state.resolve(createRecords(10, -1), -1);
+      });
+
+      it("indexes records from the first page", function() {
+        expect(state.getRecord(0).content.name).to.equal('Record -10');
+        expect(state.getRecord(10).content.name).to.equal('Record 0');
+        expect(state.indexShift).to.equal(0);
+      });
+
+      it("shifts the indexes as earlier pages are requested", function() {
+        state = state.setReadOffset(0);
+        expect(state.getPage(-2).isRequested).to.equal(false);
+        expect(state.indexShift).to.equal(0);
+        expect(state.readOffset).to.equal(0);
+        expect(state.getRecord(10).content.name).to.equal('Record 0');
+
+        state = state.fetch(state.unrequested);
+        expect(state.indexShift).to.equal(10);
+        expect(state.readOffset).to.equal(10);
+        expect(state.getRecord(20).content.name).to.equal('Record 0');
+      });
+
+      it("finds the first page once a page before the anchor is short", function() {
+        state = state.setReadOffset(0);
+        state = state.fetch(state.unrequested);
+        state = state.resolve(createRecords(4, -5), -2);
+        expect(state.stats.firstPage).to.equal(-2);
+        expect(state.stats.totalPages).to.equal(undefined);
+        expect(state.indexShift).to.equal(-6);
+        expect(state.getRecord(0).content.name).to.equal('Record -20');
+        expect(state.setReadOffset(0).getPage(-3).offset).to.equal(-3);
+        expect(state.setReadOffset(0).pages[0].offset).to.equal(-2);
+      });
+
+      it("unloads pages before the anchor", function() {
+        state = new State(state, { unloadHorizon: 10 }).setReadOffset(25);
+        expect(state.pages[0].offset).to.equal(0);
+        expect(state.unfetchable.map((p) => p.offset)).to.deep.equal([-1]);
+        expect(state.getRecord(0).content.name).to.equal('Record 0');
+      });
+
+      it("measures the index shift from an earlier state", function() {
+        let next = state.setReadOffset(0);
+        next = new State(next.fetch(next.unrequested), { indexShift: 25 });
+        expect(next.indexShift).to.equal(25);
+        expect(next.readOffset).to.equal(10);
+        expect(next.shiftSince(state)).to.equal(10);
+      });
+
+      it("diffs states with shifted indexes", function() {
+        let next = state.setReadOffset(0);
+        expect(next.changesSince(state)).to.deep.equal([]);
+        next = next.fetch(next.unrequested);
+        expect(next.changesSince(state)).to.deep.equal([{ type: 'insert', to: 0, count: 10 }]);
+      });
+
+      it("serializes the index base", function() {
+        let json = JSON.parse(JSON.stringify(state));
+        expect(json.anchor).to.deep.equal({ id: 'Record 0' });
+        let restored = new State({ pageSize: 10, loadHorizon: 10, anchor: json.anchor }).restore(json);
+        expect(restored.readOffset).to.equal(state.readOffset);
+        expect(restored.getRecord(10).content.name).to.equal('Record 0');
+      });
+    });
+  });
+
+  describe("identifying records", function() {
+    let state;
+    beforeEach(function() {
+      state = new State({
+        pageSize: 10,
+        loadHorizon: 20,
+        unloadHorizon: 20,
+        identify: (content) => content.name
+      }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.resolve(createRecords(10, 1), 1);
+    });
+
+    it("finds records on any resolved page", function() {
+      expect(state.getRecordById('Record 15').page.offset).to.equal(1);
+      expect(state.indexOfId('Record 15')).to.equal(15);
+    });
+
+    it("does not find records which are not resolved", function() {
+      expect(state.getRecordById('Record 25').isResolved).to.equal(false);
+      expect(state.indexOfId('Record 25')).to.equal(-1);
+      expect(state.indexOfId(undefined)).to.equal(-1);
+    });
+
+    it("does not find records which are filtered out", function() {
+      state = state.refilter((record) => record.name !== 'Record 3');
+      expect(state.indexOfId('Record 3')).to.equal(-1);
+      expect(state.indexOfId('Record 15')).to.equal(14);
+    });
+
+    it("drops records which another page already holds", function() {
+      state = new State({ pageSize: 10, loadHorizon: 20, identify: (content) => content.name }).setReadOffset(0);
+      state = state.fetch(state.unrequested);
+      state = state.resolve(createRecords(10, 0), 0);
+      state = state.resolve(createRecords(10, 0).slice(5).concat(createRecords(5, 2)), 1);
+      expect(state.length).to.equal(15);
+      expect(state.getPage(1).duplicates.length).to.equal(5);
+      expect(state.drifted).to.deep.equal([state.getPage(1)]);
+    });
+
+    it("forgets the records of unloaded pages", function() {
+      state = state.setReadOffset(60);
+      expect(state.unfetchable.length).to.equal(2);
+      expect(state.indexOfId('Record 15')).to.equal(-1);
+    });
+  });
 });